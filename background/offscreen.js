@@ -0,0 +1,26 @@
+// Offscreen Document - Runs enrichment for the service worker
+// The arXiv and web paths parse XML/HTML with DOMParser and the YouTube path
+// reads its API key from localStorage; neither exists in a service worker.
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return false;
+  
+  if (request.action === 'enrichSource') {
+    enrichSourceOffscreen(request.source).then(source => sendResponse({ source: source }));
+    return true; // Keep message channel open for async response
+  }
+  return false;
+});
+
+// Same order as the popup's enrichSingleSource
+async function enrichSourceOffscreen(source) {
+  try {
+    const hybridMetadata = await extractMetadataHybrid(source);
+    if (hybridMetadata) return hybridMetadata;
+    
+    return await enrichSource(source);
+  } catch (error) {
+    console.warn('[Enrich] Enrichment failed for:', source.title, error);
+    return source;
+  }
+}
@@ -1,10 +1,26 @@
 // Background Service Worker
 // Handles background tasks and extension lifecycle events
 
+// Shared Zotero API code from the popup (enrichment runs in the offscreen document)
+importScripts(
+  '../popup/note-formatter.js',
+  '../popup/zotero-api.js'
+);
+
 console.log('NotebookLM to Zotero: Background service worker loaded');
 
+const SAVE_SELECTION_MENU_ID = 'saveSelectionToZotero';
+
 // Installation handler
 chrome.runtime.onInstalled.addListener((details) => {
+  // Context menu entries persist, so they are (re)created on install and update only
+  chrome.contextMenus.create({
+    id: SAVE_SELECTION_MENU_ID,
+    title: 'Save selection to Zotero',
+    contexts: ['selection'],
+    documentUrlPatterns: ['https://notebooklm.google.com/*']
+  });
+  
   if (details.reason === 'install') {
     console.log('Extension installed');
     // Could open welcome page or instructions here
@@ -26,6 +42,247 @@ chrome.downloads.onChanged.addListener((delta) => {
   }
 });
 
+// Handle "Send to Zotero" requests from the in-page buttons
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'sendSourceToZotero') {
+    sendSourceToZotero(request.source, request.notebookName).then(sendResponse);
+    return true; // Keep message channel open for async response
+  }
+  return false;
+});
+
+// Save highlighted NotebookLM text from the context menu
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === SAVE_SELECTION_MENU_ID && tab) {
+    saveSelectionFromTab(tab.id);
+  }
+});
+
+// Zotero client for the configured library
+// Resolves to { api, config } or { error } when settings are missing
+async function getZoteroClient() {
+  const config = await chrome.storage.local.get([
+    'zoteroApiKey',
+    'zoteroLibraryType',
+    'zoteroUserId',
+    'zoteroGroupId',
+    'zoteroAutoCreateCollections'
+  ]);
+  
+  if (!config.zoteroApiKey) {
+    return { error: 'Zotero API not configured. Open the extension settings.' };
+  }
+  
+  const libraryType = config.zoteroLibraryType || 'user';
+  const libraryId = libraryType === 'user' ? config.zoteroUserId : config.zoteroGroupId;
+  if (!libraryId) {
+    return { error: 'Library ID not configured. Open the extension settings.' };
+  }
+  
+  return { api: new ZoteroAPI(config.zoteroApiKey, libraryId, libraryType), config: config };
+}
+
+// Enrich one source and add it to the configured Zotero library
+// Resolves to { status: 'created' | 'duplicate' | 'error', key?, message? }
+async function sendSourceToZotero(source, notebookName) {
+  const { api, config, error } = await getZoteroClient();
+  if (error) {
+    return { status: 'error', message: error };
+  }
+  
+  try {
+    // Exact, top-level match: the key is also used to relate selection notes
+    const existing = await api.findTopLevelItemByExactTitle(source.title);
+    if (existing) {
+      return { status: 'duplicate', key: existing.key };
+    }
+    
+    const enriched = await enrichSourceInWorker(source);
+    
+    let collectionKey = null;
+    if (config.zoteroAutoCreateCollections !== false) {
+      collectionKey = await api.getOrCreateCollection(notebookName || 'NotebookLM Export');
+    }
+    
+    const item = api.sourceToZoteroItem(enriched, collectionKey);
+    if (!collectionKey) {
+      item.collections = [];
+    }
+    
+    const response = await api.request('/items', 'POST', [item]);
+    const created = response.data.successful && response.data.successful['0'];
+    if (!created) {
+      return { status: 'error', message: 'Zotero did not accept the item' };
+    }
+    
+    // Copied text sources keep their text as a child note
+    if (enriched.type === 'text' && enriched.content) {
+      await api.request('/items', 'POST', [{
+        itemType: 'note',
+        parentItem: created.key,
+        note: `<h1>${escapeHTML(enriched.title)}</h1>\n${textToNoteHTML(enriched.content)}`,
+        tags: [{ tag: 'NotebookLM' }, { tag: 'Copied text' }]
+      }]);
+    }
+    
+    console.log('[Zotero] Added from page:', source.title);
+    return { status: 'created', key: created.key };
+  } catch (error) {
+    console.error('[Zotero] Failed to send source:', source.title, error);
+    return { status: 'error', message: error.message };
+  }
+}
+
+// Read the selection in a NotebookLM tab and save it, reporting back with toasts
+async function saveSelectionFromTab(tabId) {
+  const notify = (status, message) => {
+    chrome.tabs.sendMessage(tabId, { action: 'selectionSaved', status: status, message: message }).catch(() => {});
+  };
+  
+  let selection;
+  try {
+    selection = await chrome.tabs.sendMessage(tabId, { action: 'readSelection' });
+  } catch (error) {
+    // Content script not loaded yet (the tab was open before the extension) - inject it
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: ['content/dom-walker.js', 'content/selector-profiles.js', 'content/content.js']
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      selection = await chrome.tabs.sendMessage(tabId, { action: 'readSelection' });
+    } catch (injectError) {
+      console.error('[Zotero] Content script not available:', injectError);
+      reportSelectionFailure(tabId, 'Could not save the selection. Refresh the NotebookLM page and try again.');
+      return;
+    }
+  }
+  
+  if (!selection || selection.error) {
+    notify('error', selection ? selection.error : 'Could not read the selected text.');
+    return;
+  }
+  
+  notify('info', 'Saving selection to Zotero…');
+  const result = await saveSelectionToZotero(selection);
+  
+  if (result.status === 'created') {
+    const cited = result.related > 0 ? ` related to ${result.related} source${result.related === 1 ? '' : 's'}` : '';
+    notify('success', `Saved selection to Zotero${cited}`);
+  } else {
+    notify('error', `Could not save selection: ${result.message}`);
+  }
+}
+
+// Without a content script there is no page toast, so flag the toolbar icon
+// on that tab instead (cleared when the tab navigates)
+function reportSelectionFailure(tabId, message) {
+  chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: '#d93025' }).catch(() => {});
+  chrome.action.setBadgeText({ tabId: tabId, text: '!' }).catch(() => {});
+  chrome.action.setTitle({ tabId: tabId, title: message }).catch(() => {});
+}
+
+// Create a note from a text selection in the notebook's collection,
+// related to the Zotero items of the sources it cites (added when missing)
+// Resolves to { status: 'created' | 'error', key?, related?, message? }
+async function saveSelectionToZotero(selection) {
+  const { api, config, error } = await getZoteroClient();
+  if (error) {
+    return { status: 'error', message: error };
+  }
+  
+  try {
+    // sendSourceToZotero reports the existing key for duplicates
+    const relatedKeys = [];
+    for (const source of selection.sources) {
+      const result = await sendSourceToZotero(source, selection.notebookName);
+      if (result.key && !relatedKeys.includes(result.key)) {
+        relatedKeys.push(result.key);
+      }
+    }
+    
+    let collectionKey = null;
+    if (config.zoteroAutoCreateCollections !== false) {
+      collectionKey = await api.getOrCreateCollection(selection.notebookName || 'NotebookLM Export');
+    }
+    
+    let note = `<blockquote>${selection.html || textToNoteHTML(selection.text)}</blockquote>\n`;
+    note += `<p><em>Saved from NotebookLM notebook <a href="${escapeHTML(selection.notebookUrl)}">${escapeHTML(selection.notebookName)}</a></em></p>\n`;
+    if (selection.citations.length > 0) {
+      note += '<h3>Cited sources</h3>\n<ul>\n';
+      selection.citations.forEach(citation => {
+        note += `<li>[${escapeHTML(citation.marker)}] ${escapeHTML(citation.sourceTitle)}</li>\n`;
+      });
+      note += '</ul>\n';
+    }
+    
+    const response = await api.request('/items', 'POST', [{
+      itemType: 'note',
+      note: note,
+      collections: collectionKey ? [collectionKey] : [],
+      tags: [{ tag: 'NotebookLM' }, { tag: 'NotebookLM Selection' }],
+      relations: relatedKeys.length > 0 ? { 'dc:relation': relatedKeys.map(key => api.getItemURI(key)) } : {}
+    }]);
+    
+    const created = response.data.successful && response.data.successful['0'];
+    if (!created) {
+      return { status: 'error', message: 'Zotero did not accept the note' };
+    }
+    
+    // Link back from each source so the relation shows on both sides
+    for (const key of relatedKeys) {
+      try {
+        await api.addRelatedItem(key, created.key);
+      } catch (relationError) {
+        console.warn('[Zotero] Could not relate source to selection note:', key, relationError);
+      }
+    }
+    
+    console.log(`[Zotero] Saved selection with ${relatedKeys.length} related sources`);
+    return { status: 'created', key: created.key, related: relatedKeys.length };
+  } catch (error) {
+    console.error('[Zotero] Failed to save selection:', error);
+    return { status: 'error', message: error.message };
+  }
+}
+
+const OFFSCREEN_DOCUMENT_PATH = 'background/offscreen.html';
+let offscreenDocumentCreating = null;
+
+// Open the offscreen document that runs enrichment, unless it is already open
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  if (contexts.length > 0) return;
+  
+  // Concurrent callers wait for the same document
+  if (!offscreenDocumentCreating) {
+    offscreenDocumentCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['DOM_PARSER', 'LOCAL_STORAGE'],
+      justification: 'Parse arXiv and web page metadata and read the YouTube API key while enriching sources'
+    }).finally(() => {
+      offscreenDocumentCreating = null;
+    });
+  }
+  await offscreenDocumentCreating;
+}
+
+// Enrich a source in the offscreen document, which has the DOMParser and
+// localStorage the enrichment code needs; the source is kept as is on failure
+async function enrichSourceInWorker(source) {
+  try {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'enrichSource', source: source });
+    return (response && response.source) || source;
+  } catch (error) {
+    console.warn('[Enrich] Enrichment unavailable for:', source.title, error);
+    return source;
+  }
+}
+
 // Error handler for unhandled promise rejections
 self.addEventListener('unhandledrejection', (event) => {
   console.error('Unhandled promise rejection:', event.reason);
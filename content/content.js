@@ -10,21 +10,71 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     handleExtractSources(sendResponse);
     return true; // Keep message channel open for async response
   }
+  if (request.action === 'readSourceDetails') {
+    handleReadSourceDetails(request.sources || [], sendResponse);
+    return true;
+  }
+  if (request.action === 'extractStudioNotes') {
+    handleExtractStudioNotes(sendResponse);
+    return true;
+  }
+  if (request.action === 'listNotebooks') {
+    sendResponse({ notebooks: listNotebooks() });
+    return false;
+  }
+  if (request.action === 'getSnapshot') {
+    sendResponse(getLiveSnapshot());
+    return false;
+  }
+  if (request.action === 'extractConversations') {
+    handleExtractConversations(!!request.citations, sendResponse);
+    return true;
+  }
+  if (request.action === 'readSelection') {
+    handleReadSelection(sendResponse);
+    return true;
+  }
+  if (request.action === 'selectionSaved') {
+    // Progress and outcome of the "Save selection to Zotero" context menu entry
+    showZoteroToast(request.message, request.status);
+    return false;
+  }
   return false;
 });
 
+// Popup subscriptions to live model updates
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'liveSources') return;
+  liveSubscribers.add(port);
+  port.onDisconnect.addListener(() => liveSubscribers.delete(port));
+});
+
 // Async handler for source extraction
 async function handleExtractSources(sendResponse) {
   try {
-    const result = extractSourcesFromPage();
+    const result = await withLiveModelPaused(async () => {
+      const extracted = await extractSourcesFromPage();
+      if (extracted.layout && !extracted.layout.recognised) {
+        return extracted;
+      }
+      
+      seedLiveModel(extracted);
+      return extracted;
+    });
     
-    // Try to extract conversation history if available
-    try {
-      result.conversations = await extractConversations();
-    } catch (error) {
-      console.log('Could not extract conversations:', error);
-      result.conversations = [];
-    }
+    // Reading the chat scrolls it and switches threads, so it only happens
+    // when an export asks for it (extractConversations); pass on what we have
+    result.conversations = liveModel.conversations || [];
+    result.conversationsStale = liveModel.conversationsStale;
+    result.conversationCitations = liveModel.conversationCitations;
+    
+    // List Studio notes (content is read on demand - it requires opening each note)
+    result.studioNotes = listStudioNotes();
+    result.studioOverviews = listStudioOverviews();
+    
+    // Discover suggestions seen so far (the panel may be open right now)
+    captureDiscoverSuggestions();
+    result.discoverSuggestions = Array.from(liveModel.discoverSuggestions.values());
     
     sendResponse(result);
   } catch (error) {
@@ -37,30 +87,150 @@ async function handleExtractSources(sendResponse) {
   }
 }
 
+// Async handler for the source detail pass
+async function handleReadSourceDetails(sources, sendResponse) {
+  try {
+    const updated = await withLiveModelPaused(() => readSourceDetails(sources, (progress) => {
+      // The popup may have been closed - progress is best effort
+      chrome.runtime.sendMessage({ action: 'sourceDetailsProgress', ...progress }).catch(() => {});
+    }));
+    
+    // Keep the details for the next time the popup opens
+    updated.forEach(source => {
+      if (liveModel.sources.has(source.key)) {
+        liveModel.sources.set(source.key, source);
+      }
+    });
+    
+    sendResponse({
+      sources: updated,
+      resolved: updated.filter((source, i) => source.url && !sources[i].url).length,
+      summarized: updated.filter(source => source.summary).length
+    });
+  } catch (error) {
+    console.error('Error reading source details:', error);
+    sendResponse({ error: 'Failed to read source details.', sources: sources });
+  }
+}
+
+// Async handler for Studio note extraction
+async function handleExtractStudioNotes(sendResponse) {
+  try {
+    const notes = await withLiveModelPaused(() => extractStudioNotes((progress) => {
+      chrome.runtime.sendMessage({ action: 'studioNotesProgress', ...progress }).catch(() => {});
+    }));
+    sendResponse({ notes: notes });
+  } catch (error) {
+    console.error('Error extracting Studio notes:', error);
+    sendResponse({ error: 'Failed to extract Studio notes.', notes: [] });
+  }
+}
+
+// Async handler for reading the chat for an export
+// Citation chips are only hovered when the export links citations to sources
+async function handleExtractConversations(citations, sendResponse) {
+  try {
+    const conversations = await withLiveModelPaused(() =>
+      extractConversations(Array.from(liveModel.sources.values()), { citations: citations })
+    );
+    liveModel.conversations = conversations;
+    liveModel.conversationsStale = false;
+    liveModel.conversationCitations = citations;
+    sendResponse({ conversations: conversations });
+  } catch (error) {
+    console.error('Error extracting conversations:', error);
+    sendResponse({ error: 'Failed to extract conversations.', conversations: [] });
+  }
+}
+
+// Async handler for the "Save selection to Zotero" context menu entry
+async function handleReadSelection(sendResponse) {
+  try {
+    sendResponse(await readSelectionWithCitations());
+  } catch (error) {
+    console.error('Error reading selection:', error);
+    sendResponse({ error: 'Could not read the selected text.' });
+  }
+}
+
+// Read the highlighted text and the sources its citation chips point to
+async function readSelectionWithCitations() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || !selection.toString().trim()) {
+    return { error: 'Select some text in NotebookLM first.' };
+  }
+  
+  // Copy the range before hovering chips - the tooltips may move focus
+  const range = selection.getRangeAt(0).cloneRange();
+  const text = selection.toString().replace(/\n{3,}/g, '\n\n').trim();
+  
+  const wrapper = document.createElement('div');
+  wrapper.appendChild(range.cloneContents());
+  const html = messageToHTML(wrapper);
+  
+  const chips = Array.from(document.querySelectorAll(getSelector('citation')))
+    .filter(chip => range.intersectsNode(chip));
+  
+  let sources = Array.from(liveModel.sources.values());
+  if (sources.length === 0 && chips.length > 0) {
+    sources = (await withLiveModelPaused(() => collectAllSources(getExpectedSourceCount()))).sources;
+  }
+  
+  const citations = await resolveCitationChips(chips, sources);
+  
+  // Each cited source once, in citation order
+  const citedSources = [];
+  citations.forEach(citation => {
+    const source = sources.find(s => s.key === citation.sourceKey);
+    if (source && !citedSources.includes(source)) {
+      citedSources.push(source);
+    }
+  });
+  
+  return {
+    text: text,
+    html: html,
+    citations: citations,
+    sources: citedSources,
+    notebookName: getNotebookName(),
+    notebookUrl: getNotebookMetadata(sources).url
+  };
+}
+
 // Extract sources from NotebookLM page
-function extractSourcesFromPage() {
-  const sources = [];
+// Scrolls the source list so virtualized/lazily rendered rows are captured too
+async function extractSourcesFromPage() {
+  let sources = [];
   let notebookName = 'Untitled Notebook';
+  let expectedCount = null;
+  let timedOut = false;
+  let roots = {};
+  
+  // Refuse to guess when the page matches no known layout
+  const layout = checkLayoutHealth();
+  if (!layout.recognised) {
+    return {
+      sources: [],
+      notebookName: getNotebookName(),
+      layout: layout,
+      error: 'NotebookLM layout not recognised.'
+    };
+  }
   
   try {
     // Try to get notebook name
     notebookName = getNotebookName();
     
-    // Extract sources using multiple selector strategies
-    const sourceElements = findSourceElements();
+    // Read the expected count before scrolling changes what is rendered
+    expectedCount = getExpectedSourceCount();
     
-    console.log(`Found ${sourceElements.length} source elements`);
+    ({ sources, timedOut } = await collectAllSources(expectedCount));
     
-    sourceElements.forEach((element, index) => {
-      try {
-        const source = extractSourceData(element, index);
-        if (source && source.title) {
-          sources.push(source);
-        }
-      } catch (error) {
-        console.error('Error extracting source data:', error);
-      }
-    });
+    console.log(`Captured ${sources.length} sources` + (expectedCount ? ` (expected ${expectedCount})` : ''));
+    
+    // Which shadow roots or frames the rows came from, for debugging
+    roots = countElementRoots(findSourceElements());
+    console.log('Source rows by root:', roots);
     
   } catch (error) {
     console.error('Error in extractSourcesFromPage:', error);
@@ -69,10 +239,452 @@ function extractSourcesFromPage() {
   return {
     sources: sources,
     notebookName: notebookName,
+    expectedCount: expectedCount,
+    capturedCount: sources.length,
+    complete: !timedOut && (expectedCount === null || sources.length >= expectedCount),
+    timedOut: timedOut,
+    notebook: getNotebookMetadata(sources),
+    layout: layout,
+    roots: roots,
     error: sources.length === 0 ? 'No sources found in this notebook.' : null
   };
 }
 
+// Source list scrolling limits
+const SOURCE_SCROLL_MAX_STEPS = 400;
+const SOURCE_SCROLL_IDLE_ROUNDS = 2;
+const SOURCE_SCROLL_MAX_DURATION = 60000; // ms, after which the rows found so far are returned
+
+// Collect every source in the notebook
+// Rows are extracted as soon as they render (MutationObserver) and after each
+// scroll step, then deduplicated by a stable key
+// Returns { sources, timedOut }; timedOut means the list was only partly read
+async function collectAllSources(expectedCount) {
+  const collected = new Map();
+  let timedOut = false;
+  
+  const captureElement = (element, keyContext) => {
+    try {
+      const source = extractSourceData(element, collected.size);
+      if (!source || !source.title) return;
+      
+      const key = getSourceKey(element, source, keyContext);
+      if (!collected.has(key)) {
+        source.key = key;
+        collected.set(key, source);
+      }
+    } catch (error) {
+      console.error('Error extracting source data:', error);
+    }
+  };
+  
+  const scroller = findSourceScrollContainer();
+  
+  const captureRendered = () => {
+    const rows = findSourceElements();
+    rows.forEach(row => captureElement(row, { rows: rows, scroller: scroller }));
+  };
+  
+  if (!scroller) {
+    // Everything is rendered already
+    captureRendered();
+    return { sources: Array.from(collected.values()), timedOut: false };
+  }
+  
+  console.log('[Sources] Scrolling source list to load all rows...');
+  
+  // Number same-titled rows afresh, top to bottom
+  sourceTitleSlots.clear();
+  
+  // Capture rows the moment they are rendered, before they get recycled
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.matches(getSelector('sourceRow'))) {
+          captureElement(node, { scroller: scroller });
+        } else {
+          node.querySelectorAll(getSelector('sourceRow')).forEach(row => captureElement(row, { scroller: scroller }));
+        }
+      });
+    }
+  });
+  observer.observe(scroller, { childList: true, subtree: true });
+  
+  const originalScrollTop = scroller.scrollTop;
+  const deadline = Date.now() + SOURCE_SCROLL_MAX_DURATION;
+  
+  try {
+    scroller.scrollTop = 0;
+    await waitForDomSettle(scroller);
+    // Shadow roots and frames don't change while the list scrolls, so each
+    // step searches the roots found when it settled
+    cacheSearchRoots();
+    captureRendered();
+    
+    let idleRounds = 0;
+    
+    for (let step = 0; step < SOURCE_SCROLL_MAX_STEPS; step++) {
+      if (expectedCount && collected.size >= expectedCount) break;
+      if (Date.now() > deadline) {
+        timedOut = true;
+        console.warn(`[Sources] Stopped scrolling after ${SOURCE_SCROLL_MAX_DURATION / 1000}s with ${collected.size} sources captured`);
+        break;
+      }
+      
+      const countBefore = collected.size;
+      const topBefore = scroller.scrollTop;
+      
+      scroller.scrollTop = topBefore + Math.max(scroller.clientHeight * 0.8, 50);
+      await waitForDomSettle(scroller);
+      cacheSearchRoots();
+      captureRendered();
+      
+      // Stop once we can no longer scroll and nothing new has loaded
+      const moved = scroller.scrollTop > topBefore;
+      if (!moved && collected.size === countBefore) {
+        idleRounds++;
+        if (idleRounds >= SOURCE_SCROLL_IDLE_ROUNDS) break;
+      } else {
+        idleRounds = 0;
+      }
+    }
+  } finally {
+    observer.disconnect();
+    clearSearchRootsCache();
+    scroller.scrollTop = originalScrollTop;
+  }
+  
+  return { sources: Array.from(collected.values()), timedOut: timedOut };
+}
+
+// Build a stable key for deduplicating a source across re-renders
+// Same-titled rows (several "Pasted Text" sources) get separate keys from their
+// list position: aria-posinset, their offset in a scrolling list, or their
+// order among the rows when the whole list is rendered
+// Pass the rows and scroll container when keying many rows at once
+function getSourceKey(element, source, { rows = null, scroller } = {}) {
+  const idElement = element.matches('[data-source-id]') ? element : element.querySelector('[data-source-id]');
+  const sourceId = idElement?.getAttribute('data-source-id');
+  if (sourceId) return `id:${sourceId}`;
+  
+  const title = source.title.trim().toLowerCase();
+  
+  // Virtualized lists number their rows for screen readers
+  const positioned = element.matches('[aria-posinset]') ? element : element.querySelector('[aria-posinset]');
+  const position = positioned?.getAttribute('aria-posinset');
+  if (position) return `title:${title}|${position}`;
+  
+  // A virtualized list only renders some rows, so their order among the
+  // rendered ones changes as it scrolls - their offset in the list does not
+  const listScroller = scroller === undefined ? findSourceScrollContainer() : scroller;
+  const occurrence = listScroller
+    ? getTitleSlot(title, element, listScroller)
+    : getRowOccurrence(element, rows || findSourceElements());
+  return occurrence > 0 ? `title:${title}|${occurrence + 1}` : `title:${title}`;
+}
+
+// Offsets of the rows seen with each title in a scrolling list, in the order
+// they were first seen: title -> [offset]
+// A full pass clears them and reads the list top to bottom
+const sourceTitleSlots = new Map();
+
+// Which of the same-titled rows in a scrolling list this one is (0 for the first)
+function getTitleSlot(title, element, scroller) {
+  const rowRect = element.getBoundingClientRect();
+  const offset = rowRect.top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+  const tolerance = Math.max(rowRect.height / 2, 1);
+  
+  const offsets = sourceTitleSlots.get(title) || [];
+  let slot = offsets.findIndex(seen => Math.abs(seen - offset) <= tolerance);
+  if (slot === -1) {
+    slot = offsets.push(offset) - 1;
+    sourceTitleSlots.set(title, offsets);
+  }
+  return slot;
+}
+
+// Rows lists already counted: rows -> Map(row -> same-titled rows before it)
+const rowOccurrences = new WeakMap();
+
+// How many rows before this one share its title
+function getRowOccurrence(element, rows) {
+  let occurrences = rowOccurrences.get(rows);
+  if (!occurrences) {
+    occurrences = new Map();
+    const seen = new Map();
+    rows.forEach(row => {
+      const signature = getRowTitleSignature(row);
+      occurrences.set(row, seen.get(signature) || 0);
+      seen.set(signature, (seen.get(signature) || 0) + 1);
+    });
+    rowOccurrences.set(rows, occurrences);
+  }
+  return occurrences.get(element) || 0;
+}
+
+// Raw title text of a row, cheap enough to compare against every rendered row
+function getRowTitleSignature(row) {
+  const titleElement = row.querySelector(getSelector('sourceTitle')) || row;
+  return (titleElement.getAttribute('aria-label') || getTextWithoutZoteroButtons(titleElement)).replace(/\s+/g, ' ').trim();
+}
+
+// Find the scrollable ancestor of the source list, if the list scrolls at all
+function findSourceScrollContainer() {
+  const firstRow = findSourceElements()[0];
+  if (!firstRow) return null;
+  
+  let element = firstRow.parentElement;
+  while (element && element !== document.body) {
+    const overflowY = getComputedStyle(element).overflowY;
+    const scrollable = overflowY === 'auto' || overflowY === 'scroll';
+    if (scrollable && element.scrollHeight > element.clientHeight + 1) {
+      return element;
+    }
+    element = element.parentElement;
+  }
+  
+  return null;
+}
+
+// Read how many sources NotebookLM says the notebook has (null if not shown)
+function getExpectedSourceCount() {
+  // Virtualized lists usually announce their full size to screen readers
+  const setSizeEl = deepQuerySelectorAll(getSelector('sourceRow'))
+    .find(row => row.hasAttribute('aria-setsize'));
+  const setSize = parseInt(setSizeEl?.getAttribute('aria-setsize'), 10);
+  if (setSize > 0) return setSize;
+  
+  // Fall back to a count in the source panel header, e.g. "Sources (212)"
+  const headers = deepQuerySelectorAll(getSelector('sourcePanelHeader'));
+  for (const header of headers) {
+    const match = header.textContent.match(/\((\d{1,4})\)|(\d{1,4})\s+sources?/i);
+    if (match) return parseInt(match[1] || match[2], 10);
+  }
+  
+  return null;
+}
+
+// Source detail pass settings
+const SOURCE_DETAIL_DELAY = 400; // ms between sources, keeps NotebookLM responsive
+const PDF_OPENING_TEXT_LENGTH = 4000; // characters, enough for a title page
+
+// Open each source's detail view to read the original link and the
+// NotebookLM source guide (summary and key topics)
+async function readSourceDetails(sources, onProgress) {
+  const updated = [];
+  
+  console.log(`[Source Details] Reading details for ${sources.length} sources`);
+  
+  for (let i = 0; i < sources.length; i++) {
+    const source = { ...sources[i], detailsRead: true };
+    updated.push(source);
+    
+    if (onProgress) {
+      onProgress({ current: i + 1, total: sources.length, title: source.title });
+    }
+    
+    try {
+      const element = await locateSourceElement(source);
+      if (!element) {
+        console.log('[Source Details] Source row not found:', source.title);
+        continue;
+      }
+      
+      const panel = await openSourceDetail(element);
+      if (!panel) {
+        console.log('[Source Details] Detail view did not open:', source.title);
+        continue;
+      }
+      
+      const details = readSourceDetailPanel(panel);
+      await closeSourceDetail(panel);
+      
+      if (details.url && !source.url) {
+        source.url = details.url;
+        // A real link often tells us more about the type than the row did
+        const classification = classifySourceType(element, source.url);
+        source.type = classification.type;
+        source.typeConfidence = classification.confidence;
+        console.log('[Source Details] ✓ Link found:', source.url);
+      }
+      if (details.summary) {
+        source.summary = details.summary;
+      }
+      if (details.topics.length > 0) {
+        source.topics = details.topics;
+      }
+      
+      // Copied text has nothing outside NotebookLM - keep the text itself
+      if (source.type === 'text' && details.content) {
+        source.content = details.content;
+        if (isGenericTextSourceTitle(source.title)) {
+          source.title = details.content.split('\n')[0].substring(0, 100).trim();
+        }
+      }
+      
+      // The first page of a PDF usually prints its DOI, arXiv ID or ISBN,
+      // which the enrichment pipeline scans before any title search
+      if (source.type === 'pdf' && details.content) {
+        source.openingText = details.content.substring(0, PDF_OPENING_TEXT_LENGTH);
+      }
+    } catch (error) {
+      console.log(`[Source Details] Error reading ${source.title}:`, error);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, SOURCE_DETAIL_DELAY));
+  }
+  
+  return updated;
+}
+
+// Find the rendered row for a previously extracted source, scrolling if needed
+async function locateSourceElement(source) {
+  const scroller = findSourceScrollContainer();
+  const findRendered = () => {
+    const rows = findSourceElements();
+    return rows.find(element => {
+      const candidate = extractSourceData(element, source.index);
+      return candidate.title && getSourceKey(element, candidate, { rows: rows, scroller: scroller }) === source.key;
+    });
+  };
+  
+  let element = findRendered();
+  if (element) return element;
+  
+  if (!scroller) return null;
+  
+  scroller.scrollTop = 0;
+  
+  for (let step = 0; step < SOURCE_SCROLL_MAX_STEPS; step++) {
+    await waitForDomSettle(scroller);
+    
+    element = findRendered();
+    if (element) {
+      element.scrollIntoView({ block: 'nearest' });
+      return element;
+    }
+    
+    const topBefore = scroller.scrollTop;
+    scroller.scrollTop = topBefore + Math.max(scroller.clientHeight * 0.8, 50);
+    if (scroller.scrollTop <= topBefore) break;
+  }
+  
+  return null;
+}
+
+// Click a source row and wait for its detail view
+async function openSourceDetail(element) {
+  const target = element.querySelector(getSelector('sourceTitle')) || element;
+  target.click();
+  
+  try {
+    const panel = await waitForElement(getSelector('sourceViewer'), 4000);
+    await waitForDomSettle(panel, 200, 2000);
+    return panel;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the original link and source guide out of an open source detail view
+// The viewer may render its body in a shadow root or frame, hence deep queries
+function readSourceDetailPanel(panel) {
+  const details = { url: '', summary: '', topics: [], content: '' };
+  
+  const links = deepQuerySelectorAll('a[href]', panel)
+    .map(link => link.href)
+    .filter(href => isOriginalSourceURL(href));
+  
+  // Prefer links that identify the source (video, Drive file) over generic ones
+  details.url = links.find(href => /youtube\.com|youtu\.be|drive\.google\.com|docs\.google\.com/i.test(href)) ||
+                links[0] || '';
+  
+  if (!details.url) {
+    const textMatch = panel.textContent.match(/https?:\/\/[^\s"'<>]+/g) || [];
+    details.url = textMatch.find(href => isOriginalSourceURL(href)) || '';
+  }
+  
+  // Source guide summary
+  const summaryEl = deepQuerySelector('.source-guide-summary, [class*="guide-summary"], [class*="source-summary"], .summary', panel);
+  if (summaryEl) {
+    details.summary = summaryEl.textContent.replace(/\s+/g, ' ').trim();
+  }
+  
+  // Key topic chips
+  const topicEls = deepQuerySelectorAll('.source-guide-topics button, [class*="key-topic"], [class*="topics"] mat-chip, [class*="topics"] [class*="chip"]', panel);
+  const topics = new Set();
+  topicEls.forEach(el => {
+    const topic = el.textContent.replace(/\s+/g, ' ').trim();
+    if (topic.length > 1 && topic.length <= 80) {
+      topics.add(topic);
+    }
+  });
+  details.topics = Array.from(topics);
+  
+  // Source body text as shown in the viewer
+  const contentEl = deepQuerySelector(getSelector('sourceContent'), panel);
+  if (contentEl) {
+    details.content = (contentEl.innerText || contentEl.textContent)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+  
+  return details;
+}
+
+// Whether a copied text source still has a placeholder title
+function isGenericTextSourceTitle(title) {
+  return !title || /^source \d*$/i.test(title) || TEXT_SOURCE_TITLE_PATTERN.test(title.trim());
+}
+
+// Skip NotebookLM's own links (help, account, in-app navigation)
+function isOriginalSourceURL(href) {
+  if (!href || !/^https?:\/\//i.test(href)) return false;
+  
+  try {
+    const host = new URL(href).hostname;
+    return !['notebooklm.google.com', 'accounts.google.com', 'support.google.com', 'policies.google.com'].includes(host);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Find a close or back button by its class, or else by the icon it shows
+function findIconButton(root, name) {
+  if (!root) return null;
+  
+  const bySelector = root.querySelector(getSelector(name));
+  if (bySelector) return bySelector.closest('button') || bySelector;
+  
+  const icons = getButtonIcons(name);
+  return Array.from(root.querySelectorAll('button')).find(button => {
+    const icon = button.querySelector('[fonticon], [data-mat-icon-name], mat-icon, .material-icons, [class*="material-symbols"]');
+    if (!icon) return false;
+    const iconName = icon.getAttribute('fonticon') || icon.getAttribute('data-mat-icon-name') || icon.textContent.trim();
+    return icons.includes(iconName);
+  }) || null;
+}
+
+// Close the detail view and wait until it is gone
+async function closeSourceDetail(panel) {
+  const closeButton = findIconButton(panel, 'closeButton') ||
+                      findIconButton(panel, 'backButton') ||
+                      document.querySelector('.source-viewer-header button');
+  
+  if (closeButton) {
+    closeButton.click();
+  } else {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  }
+  
+  for (let waited = 0; waited < 2000 && panel.isConnected && panel.offsetParent !== null; waited += 100) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
 // Get notebook name from page
 function getNotebookName() {
   // Try multiple selectors for notebook name
@@ -104,67 +716,147 @@ function getNotebookName() {
   return 'NotebookLM Export';
 }
 
-// Find source elements on page
-function findSourceElements() {
-  // NotebookLM uses specific patterns - let's be more precise
-  
-  const strategies = [
-    // Strategy 1: NotebookLM-specific - single-source-container class
-    () => Array.from(document.querySelectorAll('.single-source-container')),
-    
-    // Strategy 2: Look for source list items (most reliable for NotebookLM)
-    () => {
-      // NotebookLM typically has sources in a list structure
-      const sourceContainers = document.querySelectorAll('[role="list"], [class*="source"], ul');
-      for (const container of sourceContainers) {
-        const items = Array.from(container.querySelectorAll('[role="listitem"], li, [class*="source-container"], .single-source-container'));
-        if (items.length > 0) {
-          console.log(`Found ${items.length} sources in list container`);
-          return items;
-        }
-      }
-      return [];
-    },
-    
-    // Strategy 3: Look for elements with data attributes
-    () => Array.from(document.querySelectorAll('[data-source-id], [data-source-type], [data-source]')),
-    
-    // Strategy 4: Look in sidebar/panel by ARIA labels
-    () => {
-      const sourcePanel = document.querySelector('[aria-label*="ource"], [aria-label*="Source"]');
-      if (sourcePanel) {
-        const items = Array.from(sourcePanel.querySelectorAll('[role="listitem"], [class*="item"], div[class*="source"], .single-source-container'));
-        if (items.length > 0) return items;
-      }
-      return [];
-    },
-    
-    // Strategy 5: Look for interactive elements that seem like sources
-    () => {
-      // Find elements that are clickable and have source-like content
-      const candidates = Array.from(document.querySelectorAll('button, [role="button"], a, [class*="card"], [class*="source"]'));
-      return candidates.filter(el => {
-        const text = el.textContent?.trim() || '';
-        const hasTitle = text.length > 5 && text.length < 300;
-        const hasIcon = el.querySelector('svg, img, [class*="icon"]');
-        const isInteractive = el.hasAttribute('tabindex') || el.tagName === 'BUTTON' || el.tagName === 'A';
-        const hasSourceClass = el.className.includes('source');
-        return (hasTitle && (hasIcon || isInteractive)) || hasSourceClass;
-      });
-    }
-  ];
+// Notebook IDs in home page card attributes
+const NOTEBOOK_ID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+// List the notebooks shown on the NotebookLM home page
+// Only notebooks whose ID can be read are returned - batch export opens them by URL
+function listNotebooks() {
+  const notebooks = [];
+  const seen = new Set();
   
-  // Try each strategy
-  for (let i = 0; i < strategies.length; i++) {
-    const elements = strategies[i]();
-    if (elements && elements.length > 0) {
-      console.log(`Strategy ${i + 1} found ${elements.length} elements`);
-      return elements;
-    }
+  document.querySelectorAll(getSelector('notebookCard')).forEach(card => {
+    const id = getNotebookId(card);
+    if (!id || seen.has(id)) return;
+    seen.add(id);
+    
+    const titleElement = card.querySelector('.project-button-title, [class*="title"], h2, h3');
+    const title = (titleElement ? titleElement.textContent : card.getAttribute('aria-label') || '').trim();
+    
+    // Source count on the card, read from its own element since the words
+    // around the number depend on the UI language
+    const countElement = card.querySelector(getSelector('notebookSourceCount'));
+    const countMatch = countElement ? countElement.textContent.match(/(\d+)/) : null;
+    
+    notebooks.push({
+      id: id,
+      title: title || 'Untitled Notebook',
+      url: `${location.origin}/notebook/${id}`,
+      sourceCount: countMatch ? parseInt(countMatch[1], 10) : null
+    });
+  });
+  
+  console.log(`Found ${notebooks.length} notebooks on the home page`);
+  return notebooks;
+}
+
+// Read a notebook ID from a home page card (link, data attribute or element IDs)
+function getNotebookId(card) {
+  const link = card.matches('a[href*="/notebook/"]') ? card : card.querySelector('a[href*="/notebook/"]');
+  if (link) {
+    const match = link.getAttribute('href').match(/\/notebook\/([^/?#]+)/);
+    if (match) return match[1];
   }
   
-  console.warn('No sources found with any strategy');
-  return [];
+  const dataId = card.getAttribute('data-notebook-id');
+  if (dataId) return dataId;
+  
+  // NotebookLM renders IDs like "project-<uuid>-title" on card children
+  const candidates = [card, ...card.querySelectorAll('[id]')];
+  for (const element of candidates) {
+    const match = (element.id || '').match(NOTEBOOK_ID_PATTERN);
+    if (match) return match[0];
+  }
+  
+  return null;
+}
+
+// Labels NotebookLM puts in front of notebook dates
+const NOTEBOOK_DATE_LABELS = {
+  created: /creat|erstellt|créé|creado|criado/i,
+  modified: /modif|edit|updat|geändert|bearbeitet|actualizado|atualizado/i
+};
+
+// Emoji at the start of a notebook title
+const LEADING_EMOJI_PATTERN = /^(\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*)\s*/u;
+
+// Notebook-level details for the summary report: ID and deep link, dates,
+// source counts per type, emoji and description when NotebookLM shows them
+function getNotebookMetadata(sources) {
+  const idMatch = location.pathname.match(/\/notebook\/([^/?#]+)/);
+  const id = idMatch ? idMatch[1] : null;
+  
+  const sourceCounts = sources.reduce((counts, source) => {
+    counts[source.type] = (counts[source.type] || 0) + 1;
+    return counts;
+  }, {});
+  
+  // The emoji is its own element in newer layouts and part of the title in older ones
+  const emojiElement = document.querySelector(getSelector('notebookEmoji'));
+  const titleEmoji = (document.querySelector('[data-notebook-title], .notebook-title')?.textContent || '')
+    .trim().match(LEADING_EMOJI_PATTERN);
+  const emoji = emojiElement?.textContent.trim() || (titleEmoji ? titleEmoji[1] : null);
+  
+  const descriptionElement = document.querySelector(getSelector('notebookDescription'));
+  const description = descriptionElement
+    ? (descriptionElement.getAttribute('data-notebook-description') || descriptionElement.textContent).replace(/\s+/g, ' ').trim()
+    : '';
+  
+  return {
+    id: id,
+    url: id ? `${location.origin}/notebook/${id}` : location.origin + location.pathname,
+    emoji: emoji || null,
+    description: description || null,
+    ...readNotebookDates(),
+    sourceCount: sources.length,
+    sourceCounts: sourceCounts
+  };
+}
+
+// Created and last-modified dates, told apart by their label
+function readNotebookDates() {
+  const dates = { created: null, modified: null };
+  
+  document.querySelectorAll(getSelector('notebookDate')).forEach(element => {
+    const label = [element.className, element.getAttribute('aria-label') || '', element.textContent].join(' ');
+    const kind = Object.keys(NOTEBOOK_DATE_LABELS).find(key => NOTEBOOK_DATE_LABELS[key].test(label));
+    if (!kind || dates[kind]) return;
+    
+    // Prefer a machine-readable date, else the text without its label
+    // ("Last edited on Oct 1, 2026" -> "Oct 1, 2026")
+    let text = element.textContent.replace(/\s+/g, ' ').trim();
+    if (NOTEBOOK_DATE_LABELS[kind].test(text)) {
+      text = text.replace(/^(?:last\s+)?\p{L}+(?:\s+(?:on|am|le|el|em))?\s*:?\s*/iu, '');
+    }
+    const value = element.getAttribute('datetime') ||
+                  element.querySelector('time')?.getAttribute('datetime') ||
+                  text;
+    if (value) dates[kind] = value;
+  });
+  
+  return dates;
+}
+
+// Find source elements on page
+// Only rows matching the active profile count - generic list and ARIA guesses
+// picked up unrelated lists, so an unknown layout fails the health check instead
+function findSourceElements() {
+  // Deep queries also search shadow roots and same-origin frames
+  return deepQuerySelectorAll(getSelector('sourceRow'));
+}
+
+// Title strategy logging is for full extractions - live refreshes run on
+// every page change and stay out of NotebookLM's console
+let quietSourceExtraction = false;
+
+// extractSourceData without the logging
+function extractSourceDataQuietly(element, index) {
+  quietSourceExtraction = true;
+  try {
+    return extractSourceData(element, index);
+  } finally {
+    quietSourceExtraction = false;
+  }
 }
 
 // Extract data from a source element
@@ -173,6 +865,7 @@ function extractSourceData(element, index) {
     title: '',
     url: '',
     type: 'unknown',
+    typeConfidence: 0,
     date: null,
     index: index
   };
@@ -183,17 +876,61 @@ function extractSourceData(element, index) {
   // Extract URL
   source.url = extractURL(element);
   
-  // Determine source type
-  source.type = determineSourceType(element, source.url);
+  // Determine source type, with how sure we are
+  const classification = classifySourceType(element, source.url);
+  source.type = classification.type;
+  source.typeConfidence = classification.confidence;
   
   // Extract date if available
   source.date = extractDate(element);
   
+  // Whether the source is ticked for chat (null when the row has no checkbox)
+  source.selected = extractSelectedState(element);
+  
   return source;
 }
 
-// Extract title from element
+// Read the state of a source row's selection checkbox
+function extractSelectedState(element) {
+  const nativeCheckbox = element.querySelector('input[type="checkbox"]');
+  if (nativeCheckbox) return nativeCheckbox.checked;
+  
+  const ariaCheckbox = element.querySelector('[role="checkbox"][aria-checked]');
+  if (ariaCheckbox) return ariaCheckbox.getAttribute('aria-checked') === 'true';
+  
+  const matCheckbox = element.querySelector('mat-checkbox, .mat-mdc-checkbox');
+  if (matCheckbox) {
+    return hasCheckedClass(matCheckbox.className);
+  }
+  
+  return null;
+}
+
+// Classes Angular Material checkboxes carry while ticked
+const CHECKBOX_CHECKED_CLASSES = ['mat-mdc-checkbox-checked', 'mat-checkbox-checked'];
+
+// Whether a class attribute value includes a ticked checkbox class
+function hasCheckedClass(className) {
+  const classes = String(className || '').split(/\s+/);
+  return CHECKBOX_CHECKED_CLASSES.some(name => classes.includes(name));
+}
+
+// Text of an element without the in-page Zotero buttons we added to it
+function getTextWithoutZoteroButtons(element) {
+  if (!element.querySelector('.nlm-zotero-button')) return element.textContent || '';
+  
+  const copy = element.cloneNode(true);
+  copy.querySelectorAll('.nlm-zotero-button').forEach(button => button.remove());
+  return copy.textContent || '';
+}
+
+// Extract title from element
 function extractTitle(element) {
+  // Which strategy found the title, for debugging full extractions
+  const logTitle = (message, title) => {
+    if (!quietSourceExtraction) console.log(message, title.substring(0, 60));
+  };
+  
   // Helper function to check if text is a UI element
   function isUIElement(text) {
     if (!text) return true;
@@ -220,13 +957,13 @@ function extractTitle(element) {
   }
   
   // Strategy 1: NotebookLM-specific - Try aria-label on source-title element
-  const sourceTitleEl = element.querySelector('.source-title, .mat-mdc-tooltip-trigger.source-title');
+  const sourceTitleEl = element.querySelector(getSelector('sourceTitle'));
   if (sourceTitleEl) {
     const ariaLabel = sourceTitleEl.getAttribute('aria-label');
     if (ariaLabel && ariaLabel.trim() && !isUIElement(ariaLabel)) {
       const cleaned = cleanTitle(ariaLabel.trim());
       if (cleaned.length > 5) {
-        console.log('✓ Title from aria-label:', cleaned.substring(0, 60));
+        logTitle('✓ Title from aria-label:', cleaned);
         return cleaned;
       }
     }
@@ -246,13 +983,13 @@ function extractTitle(element) {
     
     if (longestText.length > 5) {
       const cleaned = cleanTitle(longestText);
-      console.log('✓ Title from span:', cleaned.substring(0, 60));
+      logTitle('✓ Title from span:', cleaned);
       return cleaned;
     }
   }
   
   // Strategy 3: Look in source-title-column
-  const titleColumn = element.querySelector('.source-title-column');
+  const titleColumn = element.querySelector(getSelector('sourceTitleColumn'));
   if (titleColumn) {
     const spans = titleColumn.querySelectorAll('span');
     let longestText = '';
@@ -266,7 +1003,7 @@ function extractTitle(element) {
     
     if (longestText.length > 5) {
       const cleaned = cleanTitle(longestText);
-      console.log('✓ Title from title-column:', cleaned.substring(0, 60));
+      logTitle('✓ Title from title-column:', cleaned);
       return cleaned;
     }
   }
@@ -278,7 +1015,7 @@ function extractTitle(element) {
   if (dataTitle && !isUIElement(dataTitle)) {
     const cleaned = cleanTitle(dataTitle.trim());
     if (cleaned.length > 5) {
-      console.log('✓ Title from data attr:', cleaned.substring(0, 60));
+      logTitle('✓ Title from data attr:', cleaned);
       return cleaned;
     }
   }
@@ -302,7 +1039,7 @@ function extractTitle(element) {
   if (candidates.length > 0) {
     candidates.sort((a, b) => b.length - a.length);
     const cleaned = cleanTitle(candidates[0].text);
-    console.log('✓ Title from best candidate:', cleaned.substring(0, 60));
+    logTitle('✓ Title from best candidate:', cleaned);
     return cleaned;
   }
   
@@ -318,12 +1055,12 @@ function extractTitle(element) {
   
   for (const selector of titleSelectors) {
     const titleEl = element.querySelector(selector);
-    if (titleEl && titleEl.textContent.trim()) {
-      const text = titleEl.textContent.trim();
+    if (titleEl && getTextWithoutZoteroButtons(titleEl).trim()) {
+      const text = getTextWithoutZoteroButtons(titleEl).trim();
       if (!isUIElement(text)) {
         const cleaned = cleanTitle(text);
         if (cleaned.length > 5) {
-          console.log('✓ Title from selector:', cleaned.substring(0, 60));
+          logTitle('✓ Title from selector:', cleaned);
           return cleaned;
         }
       }
@@ -331,16 +1068,16 @@ function extractTitle(element) {
   }
   
   // Strategy 7: Last resort - element text content but be very careful
-  const text = element.textContent.trim();
+  const text = getTextWithoutZoteroButtons(element).trim();
   if (text.length > 10 && text.length < 300 && !isUIElement(text)) {
     const cleaned = cleanTitle(text.replace(/\s+/g, ' ').substring(0, 200));
     if (cleaned.length > 5) {
-      console.log('⚠ Title from element text (last resort):', cleaned.substring(0, 60));
+      logTitle('⚠ Title from element text (last resort):', cleaned);
       return cleaned;
     }
   }
   
-  console.warn('❌ Could not find title, using fallback');
+  if (!quietSourceExtraction) console.warn('❌ Could not find title, using fallback');
   return `Source ${element.index || ''}`;
 }
 
@@ -377,152 +1114,174 @@ function extractURL(element) {
   return '';
 }
 
-// Determine source type
-function determineSourceType(element, url) {
-  // First, check the title for file extension
-  const titleEl = element.querySelector('.source-title, .mat-mdc-tooltip-trigger.source-title');
-  if (titleEl) {
-    const ariaLabel = titleEl.getAttribute('aria-label') || '';
-    const titleText = titleEl.textContent || '';
-    const titleToCheck = (ariaLabel + ' ' + titleText).toLowerCase();
-    
-    // Check for academic web sources first (ResearchGate, arXiv, DOI, etc.)
-    if (titleToCheck.includes('researchgate')) {
-      return 'web'; // Academic paper from ResearchGate
-    }
-    if (titleToCheck.includes('arxiv')) {
-      return 'web'; // Preprint from arXiv
-    }
-    if (titleToCheck.includes('doi.org') || titleToCheck.includes('doi:')) {
-      return 'web'; // DOI link
-    }
-    if (titleToCheck.includes('pubmed') || titleToCheck.includes('ncbi.nlm.nih')) {
-      return 'web'; // PubMed/NCBI
-    }
-    if (titleToCheck.includes('scholar.google')) {
-      return 'web'; // Google Scholar
-    }
-    if (titleToCheck.includes('jstor')) {
-      return 'web'; // JSTOR
-    }
-    
-    // Check for file extensions in title
-    if (titleToCheck.match(/\.pdf$/i) || titleToCheck.includes('.pdf"') || titleToCheck.includes('.pdf ')) {
-      return 'pdf';
-    }
-    if (titleToCheck.match(/\.(docx?|doc)$/i)) {
-      return 'doc';
-    }
-    if (titleToCheck.match(/\.(xlsx?|xls)$/i)) {
-      return 'doc';
-    }
-    if (titleToCheck.match(/\.(pptx?|ppt)$/i)) {
-      return 'doc';
-    }
-  }
+// Source type signals, strongest first. Icon names, mime types, URLs and data
+// attributes are the same in every UI language; aria-label words are not.
+const SOURCE_TYPE_ORDER = ['pdf', 'youtube', 'drive', 'text', 'doc', 'web'];
+
+// Material icon ligatures / icon names used for source rows
+const SOURCE_TYPE_ICONS = {
+  pdf: ['picture_as_pdf', 'pdf', 'drive_pdf'],
+  youtube: ['video_youtube', 'youtube_activity', 'smart_display', 'play_circle', 'ondemand_video', 'videocam', 'movie', 'youtube'],
+  drive: ['drive', 'drive_file', 'add_to_drive', 'folder', 'cloud'],
+  text: ['content_paste', 'text_snippet', 'text_fields', 'notes', 'subject'],
+  doc: ['description', 'article', 'docs', 'drive_document', 'slideshow', 'table_chart'],
+  web: ['web', 'language', 'link', 'public', 'globe']
+};
+
+// Default names NotebookLM gives copied text ("Pasted Text", "Copied text", ...)
+const TEXT_SOURCE_TITLE_PATTERN = /^(pasted|copied)\s+text$|^(kopierter|eingefügter)\s+text$|^texte\s+(copié|collé)$|^texto\s+(copiado|colado|pegado)$/i;
+
+// Words NotebookLM uses in source aria-labels, per UI language
+const SOURCE_TYPE_VOCABULARY = {
+  en: { pdf: ['pdf'], youtube: ['youtube', 'video'], drive: ['google drive', 'drive'], text: ['copied text', 'pasted text'], doc: ['document', 'doc'], web: ['website', 'web page', 'link', 'web'] },
+  de: { pdf: ['pdf'], youtube: ['youtube', 'video'], drive: ['google drive', 'drive'], text: ['kopierter text', 'eingefügter text'], doc: ['dokument'], web: ['website', 'webseite', 'link'] },
+  fr: { pdf: ['pdf'], youtube: ['youtube', 'vidéo'], drive: ['google drive', 'drive'], text: ['texte copié', 'texte collé'], doc: ['document'], web: ['site web', 'page web', 'lien'] },
+  pt: { pdf: ['pdf'], youtube: ['youtube', 'vídeo'], drive: ['google drive', 'drive'], text: ['texto copiado', 'texto colado'], doc: ['documento'], web: ['site', 'página da web', 'link'] },
+  es: { pdf: ['pdf'], youtube: ['youtube', 'vídeo', 'video'], drive: ['google drive', 'drive'], text: ['texto copiado', 'texto pegado'], doc: ['documento'], web: ['sitio web', 'página web', 'enlace'] }
+};
+
+// Classify a source row
+// Returns { type, confidence (0-1), signal } - signal names the evidence used
+function classifySourceType(element, url) {
+  const result = (type, confidence, signal) => ({ type, confidence, signal });
   
-  // Check data attribute
-  const dataType = element.getAttribute('data-source-type') || 
+  // Data attributes set by NotebookLM
+  const dataType = element.getAttribute('data-source-type') ||
                   element.getAttribute('data-type') ||
-                  element.getAttribute('type');
-  if (dataType) {
-    const normalized = dataType.toLowerCase();
-    if (normalized.includes('web')) return 'web';
-    if (normalized.includes('pdf')) return 'pdf';
-    if (normalized.includes('video') || normalized.includes('youtube')) return 'youtube';
-    if (normalized.includes('drive')) return 'drive';
-    if (normalized.includes('doc')) return 'doc';
-  }
+                  element.querySelector('[data-source-type]')?.getAttribute('data-source-type');
+  const typeFromData = dataType && typeFromKeyword(dataType);
+  if (typeFromData) return result(typeFromData, 0.95, 'data-attribute');
   
-  // Check aria-label
-  const ariaLabel = element.getAttribute('aria-label')?.toLowerCase() || '';
-  if (ariaLabel.includes('pdf')) return 'pdf';
-  if (ariaLabel.includes('youtube') || ariaLabel.includes('video')) return 'youtube';
-  if (ariaLabel.includes('drive')) return 'drive';
-  if (ariaLabel.includes('document') || ariaLabel.includes('doc')) return 'doc';
-  if (ariaLabel.includes('web') || ariaLabel.includes('link') || ariaLabel.includes('http')) return 'web';
+  // Mime type hints
+  const mimeElement = element.matches('[data-mime-type], [data-mimetype]') ? element :
+                      element.querySelector('[data-mime-type], [data-mimetype]');
+  const mimeType = mimeElement?.getAttribute('data-mime-type') || mimeElement?.getAttribute('data-mimetype');
+  const typeFromMime = mimeType && typeFromMimeType(mimeType);
+  if (typeFromMime) return result(typeFromMime, 0.9, 'mime-type');
   
-  // Check by URL patterns
-  if (url) {
-    const urlLower = url.toLowerCase();
-    
-    // Academic sources
-    if (urlLower.includes('researchgate.net')) return 'web';
-    if (urlLower.includes('arxiv.org')) return 'web';
-    if (urlLower.includes('doi.org')) return 'web';
-    if (urlLower.includes('pubmed') || urlLower.includes('ncbi.nlm.nih')) return 'web';
-    if (urlLower.includes('scholar.google')) return 'web';
-    if (urlLower.includes('jstor.org')) return 'web';
-    
-    // Video sources
-    if (urlLower.includes('youtube.com') || urlLower.includes('youtu.be')) {
-      return 'youtube';
-    }
-    if (urlLower.includes('vimeo.com')) return 'youtube';
-    
-    // Google services
-    if (urlLower.includes('drive.google.com') || urlLower.includes('docs.google.com/file')) {
-      return 'drive';
-    }
-    if (urlLower.includes('docs.google.com/document') || urlLower.includes('docs.google.com/spreadsheets')) {
-      return 'doc';
-    }
-    
-    // PDF files
-    if (urlLower.endsWith('.pdf') || urlLower.includes('/pdf/') || urlLower.includes('.pdf?')) {
-      return 'pdf';
-    }
-    
-    // If it has any URL, likely a web source
-    if (urlLower.startsWith('http')) {
-      return 'web';
-    }
+  // URL patterns
+  if (url && /^https?:/i.test(url)) {
+    return result(typeFromURL(url), 0.9, 'url');
   }
   
-  // Check text content for clues
-  const textContent = element.textContent?.toLowerCase() || '';
-  if (textContent.includes('.pdf')) return 'pdf';
-  if (textContent.includes('youtube')) return 'youtube';
-  if (textContent.includes('google drive')) return 'drive';
-  if (textContent.includes('researchgate')) return 'web';
-  if (textContent.includes('arxiv')) return 'web';
+  // Icon names (ligature text, icon attributes, icon image file names)
+  const typeFromIcon = typeFromIcons(element);
+  if (typeFromIcon) return result(typeFromIcon, 0.8, 'icon');
   
-  // Check by icon or class names (NotebookLM uses icons for source types)
-  const classList = element.className?.toLowerCase() || '';
-  const htmlContent = element.innerHTML?.toLowerCase() || '';
+  // File extension in the title
+  const titleEl = element.querySelector(getSelector('sourceTitle'));
+  const titleText = `${titleEl?.getAttribute('aria-label') || ''} ${titleEl?.textContent || ''}`.toLowerCase();
+  if (/\.pdf\b/.test(titleText)) return result('pdf', 0.75, 'file-extension');
+  if (/\.(docx?|xlsx?|pptx?|odt|rtf)\b/.test(titleText)) return result('doc', 0.75, 'file-extension');
+  if (titleEl && TEXT_SOURCE_TITLE_PATTERN.test((titleEl.getAttribute('aria-label') || titleEl.textContent).trim())) {
+    return result('text', 0.7, 'title');
+  }
   
-  if (classList.includes('pdf') || htmlContent.includes('picture_as_pdf') || htmlContent.includes('pdf')) return 'pdf';
-  if (classList.includes('youtube') || classList.includes('video') || htmlContent.includes('play_circle') || htmlContent.includes('videocam')) return 'youtube';
-  if (classList.includes('drive') || htmlContent.includes('folder') || htmlContent.includes('drive')) return 'drive';
-  if (classList.includes('doc') || htmlContent.includes('description') || htmlContent.includes('document')) return 'doc';
-  if (classList.includes('web') || classList.includes('link') || htmlContent.includes('link') || htmlContent.includes('language')) return 'web';
+  // Aria-label words in the page language
+  const typeFromLabel = typeFromAriaLabel(element);
+  if (typeFromLabel) return result(typeFromLabel, 0.6, 'aria-label');
   
-  // Check for Material Icons (NotebookLM uses these)
-  const icon = element.querySelector('[class*="icon"], svg, mat-icon, .material-icons');
-  if (icon) {
-    const iconText = icon.textContent?.toLowerCase() || '';
-    const iconClass = icon.className?.toLowerCase() || '';
-    
-    if (iconText.includes('pdf') || iconClass.includes('pdf')) return 'pdf';
-    if (iconText.includes('play') || iconText.includes('video') || iconClass.includes('video')) return 'youtube';
-    if (iconText.includes('folder') || iconText.includes('drive') || iconClass.includes('drive')) return 'drive';
-    if (iconText.includes('description') || iconText.includes('doc') || iconClass.includes('doc')) return 'doc';
-    if (iconText.includes('link') || iconText.includes('language') || iconClass.includes('web')) return 'web';
+  // Rows with a real title are most often web articles
+  if ((element.textContent?.trim().length || 0) > 20) {
+    return result('web', 0.3, 'fallback');
   }
   
-  // If we have a URL but couldn't categorize, default to web
-  if (url && url.startsWith('http')) {
-    return 'web';
+  return result('unknown', 0, 'none');
+}
+
+// Map a type keyword (data attribute value) to a source type
+function typeFromKeyword(value) {
+  const normalized = value.toLowerCase();
+  if (normalized.includes('pdf')) return 'pdf';
+  if (normalized.includes('video') || normalized.includes('youtube')) return 'youtube';
+  if (normalized.includes('drive')) return 'drive';
+  if (normalized.includes('text') || normalized.includes('paste')) return 'text';
+  if (normalized.includes('doc')) return 'doc';
+  if (normalized.includes('web') || normalized.includes('url')) return 'web';
+  return null;
+}
+
+// Map a mime type to a source type
+function typeFromMimeType(mimeType) {
+  const normalized = mimeType.toLowerCase();
+  if (normalized === 'application/pdf') return 'pdf';
+  if (normalized.startsWith('video/')) return 'youtube';
+  if (/google-apps\.(document|spreadsheet|presentation)/.test(normalized)) return 'doc';
+  if (normalized.includes('google-apps')) return 'drive';
+  if (/msword|officedocument|opendocument|rtf/.test(normalized)) return 'doc';
+  if (normalized === 'text/plain') return 'text';
+  if (normalized === 'text/html') return 'web';
+  return null;
+}
+
+// Map a source URL to a source type
+function typeFromURL(url) {
+  const urlLower = url.toLowerCase();
+  
+  if (urlLower.includes('youtube.com') || urlLower.includes('youtu.be') || urlLower.includes('vimeo.com')) {
+    return 'youtube';
+  }
+  if (urlLower.includes('docs.google.com/document') || urlLower.includes('docs.google.com/spreadsheets') ||
+      urlLower.includes('docs.google.com/presentation')) {
+    return 'doc';
+  }
+  if (urlLower.includes('drive.google.com') || urlLower.includes('docs.google.com/file')) {
+    return 'drive';
+  }
+  if (urlLower.endsWith('.pdf') || urlLower.includes('/pdf/') || urlLower.includes('.pdf?')) {
+    return 'pdf';
   }
   
-  // Last resort: if element looks like it has meaningful content, guess based on structure
-  const hasUrl = !!url;
-  const hasLongTitle = (element.textContent?.length || 0) > 20;
+  // Everything else, academic sites included, is a web source
+  return 'web';
+}
+
+// Find a source type from the row's icons
+function typeFromIcons(element) {
+  const names = [];
+  
+  element.querySelectorAll('mat-icon, .material-icons, .material-symbols-outlined, .material-symbols-rounded, [class*="icon"]').forEach(icon => {
+    names.push(icon.textContent || '');
+    ['fonticon', 'data-mat-icon-name', 'svgicon', 'data-icon'].forEach(attr => {
+      names.push(icon.getAttribute(attr) || '');
+    });
+  });
+  element.querySelectorAll('img[src]').forEach(img => {
+    // e.g. ".../icons/picture_as_pdf.svg"
+    const fileName = img.getAttribute('src').split(/[?#]/)[0].split('/').pop();
+    names.push(fileName.replace(/\.\w+$/, ''));
+  });
+  
+  const normalized = names.map(name => name.trim().toLowerCase()).filter(Boolean);
+  
+  for (const type of SOURCE_TYPE_ORDER) {
+    if (normalized.some(name => SOURCE_TYPE_ICONS[type].includes(name))) {
+      return type;
+    }
+  }
+  return null;
+}
+
+// Find a source type from aria-labels, using the vocabulary of the page language
+function typeFromAriaLabel(element) {
+  const labels = [element, ...element.querySelectorAll('[aria-label]')]
+    .map(el => el.getAttribute('aria-label') || '')
+    .join(' ')
+    .toLowerCase();
+  if (!labels.trim()) return null;
   
-  if (hasUrl && hasLongTitle) return 'web';
-  if (hasLongTitle) return 'web'; // Changed from 'doc' - more likely web article
+  const language = (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+  const vocabularies = [SOURCE_TYPE_VOCABULARY[language], SOURCE_TYPE_VOCABULARY.en].filter(Boolean);
   
-  return 'unknown';
+  for (const vocabulary of vocabularies) {
+    for (const type of SOURCE_TYPE_ORDER) {
+      const words = vocabulary[type] || [];
+      if (words.some(word => new RegExp(`(^|[^\\p{L}])${word}($|[^\\p{L}])`, 'u').test(labels))) {
+        return type;
+      }
+    }
+  }
+  return null;
 }
 
 // Extract date from element
@@ -545,101 +1304,127 @@ function extractDate(element) {
   return null;
 }
 
-// Helper: Wait for element to appear
+// Helper: Wait for element to appear (in the page, a shadow root or a frame)
 function waitForElement(selector, timeout = 5000) {
   return new Promise((resolve, reject) => {
-    const element = document.querySelector(selector);
+    const element = deepQuerySelector(selector);
     if (element) {
       resolve(element);
       return;
     }
     
-    const observer = new MutationObserver(() => {
-      const element = document.querySelector(selector);
+    let poll = null;
+    const check = () => {
+      const element = deepQuerySelector(selector);
       if (element) {
         observer.disconnect();
+        clearInterval(poll);
         resolve(element);
       }
-    });
+    };
     
+    const observer = new MutationObserver(check);
     observer.observe(document.body, {
       childList: true,
       subtree: true
     });
     
+    // Changes inside shadow roots and frames never reach the observer
+    poll = setInterval(check, 250);
+    
     setTimeout(() => {
       observer.disconnect();
+      clearInterval(poll);
       reject(new Error('Element not found'));
     }, timeout);
   });
 }
 
+// Helper: Wait until a subtree stops changing (or maxWait elapses)
+function waitForDomSettle(target, quietPeriod = 150, maxWait = 1500) {
+  return new Promise((resolve) => {
+    let quietTimer = null;
+    
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(maxTimer);
+      resolve();
+    };
+    
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(finish, quietPeriod);
+    });
+    
+    observer.observe(target, {
+      childList: true,
+      subtree: true
+    });
+    
+    quietTimer = setTimeout(finish, quietPeriod);
+    const maxTimer = setTimeout(finish, maxWait);
+  });
+}
+
+// Chat history limits
+const CHAT_HISTORY_MAX_STEPS = 100;
+
 /**
  * Extract NotebookLM conversation history
- * Captures chat messages for research context
+ * Captures chat messages for research context, optionally with the sources
+ * each AI response cites. Scrolls the chat up to load earlier turns and reads
+ * every saved chat thread, returning messages in chronological order.
+ * @param {Object} options
+ * @param {boolean} [options.citations] - Resolve citation chips (hovers each one)
  */
-async function extractConversations() {
-  const conversations = [];
+async function extractConversations(sources = [], { citations = false } = {}) {
+  let conversations = [];
   
   try {
     console.log('[Conversations] Starting extraction...');
     
-    // Wait a bit for chat to load
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Find chat container
-    const chatContainer = document.querySelector('.chat-panel-content');
-    
-    if (!chatContainer) {
+    // Wait for the chat panel instead of a fixed delay
+    try {
+      await waitForElement(getSelector('chatPanel'), 2000);
+    } catch (error) {
       console.log('[Conversations] No chat panel found');
       return conversations;
     }
     
-    // Find all message pairs
-    const messagePairs = chatContainer.querySelectorAll('.chat-message-pair');
-    
-    if (messagePairs.length === 0) {
-      console.log('[Conversations] No message pairs found');
-      return conversations;
-    }
-    
-    console.log(`[Conversations] Found ${messagePairs.length} message pairs`);
+    const sessions = listChatSessions();
     
-    // Extract each message pair (contains user question + AI response)
-    messagePairs.forEach((pair, pairIndex) => {
+    if (sessions.length <= 1) {
+      conversations = await extractChatSession(sources, sessions[0] || null, citations);
+    } else {
+      console.log(`[Conversations] Found ${sessions.length} chat threads`);
+      const activeSession = sessions.find(session => session.active);
+      const threads = [];
+      
       try {
-        // Extract user message
-        const userMessage = pair.querySelector('.from-user-message-card-content .message-text-content');
-        if (userMessage) {
-          const userText = userMessage.textContent?.trim();
-          if (userText && userText.length > 0) {
-            conversations.push({
-              index: conversations.length + 1,
-              role: 'user',
-              content: userText,
-              timestamp: new Date().toISOString()
-            });
-            console.log(`[Conversations] User message ${pairIndex + 1}: ${userText.substring(0, 50)}...`);
+        for (const session of sessions) {
+          try {
+            await openChatSession(session);
+            threads.push(await extractChatSession(sources, session, citations));
+          } catch (error) {
+            console.log(`[Conversations] Error reading chat thread ${session.title}:`, error);
           }
         }
-        
-        // Extract AI response
-        const aiMessage = pair.querySelector('.to-user-message-card-content .message-text-content');
-        if (aiMessage) {
-          const aiText = aiMessage.textContent?.trim();
-          if (aiText && aiText.length > 0) {
-            conversations.push({
-              index: conversations.length + 1,
-              role: 'assistant',
-              content: aiText,
-              timestamp: new Date().toISOString()
-            });
-            console.log(`[Conversations] AI message ${pairIndex + 1}: ${aiText.substring(0, 50)}...`);
-          }
+      } finally {
+        // Leave the user on the thread they had open
+        if (activeSession) {
+          await openChatSession(activeSession);
         }
-      } catch (error) {
-        console.log(`[Conversations] Error parsing message pair ${pairIndex}:`, error);
       }
+      
+      // Oldest thread first when NotebookLM exposes timestamps
+      threads.sort((a, b) => (firstTimestamp(a) || '').localeCompare(firstTimestamp(b) || ''));
+      conversations = threads.flat();
+    }
+    
+    // Number messages across all threads
+    conversations.forEach((message, i) => {
+      message.index = i + 1;
     });
     
     console.log(`[Conversations] Successfully extracted ${conversations.length} total messages`);
@@ -650,3 +1435,1055 @@ async function extractConversations() {
   
   return conversations;
 }
+
+// Read every message of the chat thread currently shown
+async function extractChatSession(sources, session, withCitations) {
+  const messages = [];
+  const chatContainer = deepQuerySelector(getSelector('chatPanel'));
+  
+  if (!chatContainer) {
+    return messages;
+  }
+  
+  await loadEarlierChatHistory(chatContainer);
+  
+  // Find all message pairs
+  const messagePairs = deepQuerySelectorAll(getSelector('chatPair'), chatContainer);
+  
+  if (messagePairs.length === 0) {
+    console.log('[Conversations] No message pairs found');
+    return messages;
+  }
+  
+  console.log(`[Conversations] Found ${messagePairs.length} message pairs` + (session ? ` in "${session.title}"` : ''));
+  
+  // Extract each message pair (contains user question + AI response)
+  for (const [pairIndex, pair] of Array.from(messagePairs).entries()) {
+    try {
+      const pairTimestamp = extractMessageTimestamp(pair);
+      
+      // Extract user message
+      const userMessage = pair.querySelector('.from-user-message-card-content .message-text-content');
+      if (userMessage) {
+        const userText = userMessage.textContent?.trim();
+        if (userText && userText.length > 0) {
+          messages.push({
+            role: 'user',
+            content: userText,
+            html: messageToHTML(userMessage),
+            timestamp: extractMessageTimestamp(userMessage.closest('.from-user-message-card-content')) || pairTimestamp,
+            session: session ? session.title : null
+          });
+          console.log(`[Conversations] User message ${pairIndex + 1}: ${userText.substring(0, 50)}...`);
+        }
+      }
+      
+      // Extract AI response
+      const aiMessage = pair.querySelector('.to-user-message-card-content .message-text-content');
+      if (aiMessage) {
+        const aiText = aiMessage.textContent?.trim();
+        if (aiText && aiText.length > 0) {
+          messages.push({
+            role: 'assistant',
+            content: aiText,
+            html: messageToHTML(aiMessage),
+            citations: withCitations ? await extractCitations(aiMessage, sources) : [],
+            timestamp: extractMessageTimestamp(aiMessage.closest('.to-user-message-card-content')) || pairTimestamp,
+            session: session ? session.title : null
+          });
+          console.log(`[Conversations] AI message ${pairIndex + 1}: ${aiText.substring(0, 50)}...`);
+        }
+      }
+    } catch (error) {
+      console.log(`[Conversations] Error parsing message pair ${pairIndex}:`, error);
+    }
+  }
+  
+  return messages;
+}
+
+// Scroll the chat to the top until no earlier turns load, then scroll back
+async function loadEarlierChatHistory(chatContainer) {
+  let scroller = chatContainer;
+  while (scroller && scroller !== document.body && scroller.scrollHeight <= scroller.clientHeight + 1) {
+    scroller = scroller.parentElement;
+  }
+  if (!scroller || scroller === document.body) return;
+  
+  const originalDistanceFromBottom = scroller.scrollHeight - scroller.scrollTop;
+  let idleRounds = 0;
+  
+  for (let step = 0; step < CHAT_HISTORY_MAX_STEPS && idleRounds < 2; step++) {
+    const pairsBefore = chatContainer.querySelectorAll(getSelector('chatPair')).length;
+    scroller.scrollTop = 0;
+    await waitForDomSettle(scroller, 250, 2000);
+    
+    const pairsAfter = chatContainer.querySelectorAll(getSelector('chatPair')).length;
+    idleRounds = pairsAfter > pairsBefore ? 0 : idleRounds + 1;
+  }
+  
+  // Keep the user's place relative to the newest message
+  scroller.scrollTop = scroller.scrollHeight - originalDistanceFromBottom;
+}
+
+// Plausible range for message timestamps (NotebookLM launched in 2023)
+const MESSAGE_TIMESTAMP_MIN = Date.UTC(2023, 0, 1);
+const MESSAGE_TIMESTAMP_MAX_AHEAD = 24 * 60 * 60 * 1000; // clock skew, ms
+
+// Read when a message was sent, if NotebookLM exposes it
+// Only machine-readable attributes are trusted: displayed text is localised
+// and relative ("Yesterday"), so it is never parsed
+// Returns an ISO string or null
+function extractMessageTimestamp(element) {
+  if (!element) return null;
+  
+  const candidates = [
+    element.getAttribute('data-timestamp'),
+    element.querySelector('time[datetime]')?.getAttribute('datetime'),
+    element.querySelector('[data-timestamp]')?.getAttribute('data-timestamp')
+  ];
+  
+  for (const candidate of candidates) {
+    const value = (candidate || '').trim();
+    if (!value) continue;
+    
+    // Epoch values may be seconds or milliseconds; anything else must be ISO 8601
+    let time = NaN;
+    if (/^\d{9,13}$/.test(value)) {
+      const numeric = Number(value);
+      time = numeric < 1e12 ? numeric * 1000 : numeric;
+    } else if (/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+      time = Date.parse(value);
+    }
+    
+    if (time >= MESSAGE_TIMESTAMP_MIN && time <= Date.now() + MESSAGE_TIMESTAMP_MAX_AHEAD) {
+      return new Date(time).toISOString();
+    }
+  }
+  
+  return null;
+}
+
+// List saved chat threads (empty when the notebook has a single chat)
+function listChatSessions() {
+  return deepQuerySelectorAll(getSelector('chatSession')).map((element, index) => ({
+    index: index,
+    id: element.getAttribute('data-session-id') || element.getAttribute('data-id') || `session-${index + 1}`,
+    title: (element.getAttribute('aria-label') || element.textContent || '').replace(/\s+/g, ' ').trim() || `Chat ${index + 1}`,
+    active: element.getAttribute('aria-selected') === 'true' || element.getAttribute('aria-current') === 'true' ||
+            element.classList.contains('active') || element.classList.contains('selected')
+  }));
+}
+
+// Switch the chat panel to a saved thread and wait for it to render
+async function openChatSession(session) {
+  const element = deepQuerySelectorAll(getSelector('chatSession'))
+    .find((candidate, index) => (candidate.getAttribute('data-session-id') || candidate.getAttribute('data-id') || `session-${index + 1}`) === session.id);
+  if (!element) return;
+  
+  element.click();
+  await waitForDomSettle(deepQuerySelector(getSelector('chatPanel')) || document.body, 300, 3000);
+}
+
+// Earliest known timestamp in a thread
+function firstTimestamp(messages) {
+  return messages.map(message => message.timestamp).filter(Boolean).sort()[0] || null;
+}
+
+// Resolve the numbered citation chips in an AI response to the sources they cite
+// Uses attributes on the chip when present, otherwise hovers it to read the tooltip
+async function extractCitations(messageElement, sources) {
+  const citations = await resolveCitationChips(deepQuerySelectorAll(getSelector('citation'), messageElement), sources);
+  
+  if (citations.length > 0) {
+    const resolved = citations.filter(c => c.sourceKey !== null).length;
+    console.log(`[Conversations] Resolved ${resolved}/${citations.length} citations`);
+  }
+  
+  return citations;
+}
+
+// Resolve citation chips (from a message or a text selection) to sources
+async function resolveCitationChips(chips, sources) {
+  const citations = [];
+  
+  for (const chip of chips) {
+    const marker = chip.textContent.replace(/\s+/g, '').trim();
+    if (!marker) continue;
+    
+    let sourceTitle = chip.getAttribute('data-source-title') || chip.getAttribute('title') || chip.getAttribute('aria-label') || '';
+    let passage = chip.getAttribute('data-passage') || chip.getAttribute('data-quote') || '';
+    
+    if (!passage || !resolveCitedSource(sourceTitle, sources)) {
+      const tooltip = await readCitationTooltip(chip);
+      // Let the tooltip disappear so the next chip does not read a stale one
+      await new Promise(resolve => setTimeout(resolve, 150));
+      if (tooltip) {
+        sourceTitle = tooltip.title || sourceTitle;
+        passage = tooltip.passage || passage;
+      }
+    }
+    
+    const source = resolveCitedSource(sourceTitle, sources);
+    citations.push({
+      marker: marker,
+      sourceKey: source ? source.key : null,
+      sourceTitle: source ? source.title : sourceTitle.trim(),
+      passage: passage.replace(/\s+/g, ' ').trim()
+    });
+  }
+  
+  return citations;
+}
+
+// Capture a chat message as sanitized HTML
+// Citation chips become [n] markers so they survive outside NotebookLM
+function messageToHTML(messageElement) {
+  const clone = messageElement.cloneNode(true);
+  
+  clone.querySelectorAll(getSelector('citation')).forEach(chip => {
+    const marker = chip.textContent.replace(/\s+/g, '').trim();
+    const sup = document.createElement('sup');
+    sup.textContent = marker ? `[${marker}]` : '';
+    chip.replaceWith(sup);
+  });
+  
+  return sanitizeHTML(clone);
+}
+
+// Hover a citation chip and read the source title and passage from its tooltip
+async function readCitationTooltip(chip) {
+  chip.dispatchEvent(new MouseEvent('mouseenter', { bubbles: true }));
+  chip.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+  
+  try {
+    const describedBy = chip.getAttribute('aria-describedby');
+    const tooltip = (describedBy && document.getElementById(describedBy)) ||
+                    await waitForElement(getSelector('citationTooltip'), 800);
+    
+    const titleEl = tooltip.querySelector('.source-title, [class*="source-title"], [class*="title"], strong');
+    const passageEl = tooltip.querySelector('.citation-text, [class*="passage"], [class*="quote"], blockquote');
+    const title = titleEl?.textContent.trim() || '';
+    let passage = passageEl?.textContent.trim() || '';
+    
+    // Tooltips without structure are "Title: passage" or just the passage
+    if (!passageEl) {
+      passage = tooltip.textContent.replace(title, '').trim();
+    }
+    
+    return { title, passage };
+  } catch (error) {
+    return null;
+  } finally {
+    chip.dispatchEvent(new MouseEvent('mouseleave', { bubbles: true }));
+    chip.dispatchEvent(new MouseEvent('mouseout', { bubbles: true }));
+  }
+}
+
+// Match a cited title against the extracted sources
+function resolveCitedSource(citedTitle, sources) {
+  const normalize = (text) => (text || '').toLowerCase().replace(/\.(pdf|docx?|txt)$/i, '').replace(/\s+/g, ' ').trim();
+  const cited = normalize(citedTitle);
+  if (!cited || sources.length === 0) return null;
+  
+  return sources.find(source => normalize(source.title) === cited) ||
+         sources.find(source => {
+           const title = normalize(source.title);
+           return title.length > 5 && (cited.includes(title) || title.includes(cited));
+         }) ||
+         null;
+}
+
+// Read the suggestions of an open Discover panel into the live model
+// Returns whether new suggestions were found
+function captureDiscoverSuggestions() {
+  const panel = deepQuerySelector(getSelector('discoverPanel'));
+  if (!panel) return false;
+  
+  let added = false;
+  deepQuerySelectorAll(getSelector('discoverSuggestion'), panel).forEach(element => {
+    const suggestion = readDiscoverSuggestion(element);
+    const key = suggestion && (suggestion.url || suggestion.title.toLowerCase());
+    if (!key || liveModel.discoverSuggestions.has(key)) return;
+    
+    liveModel.discoverSuggestions.set(key, suggestion);
+    added = true;
+  });
+  
+  if (added) {
+    console.log(`[Discover] ${liveModel.discoverSuggestions.size} suggestions captured`);
+  }
+  return added;
+}
+
+// Title, link and snippet of one Discover suggestion (null for non-results)
+function readDiscoverSuggestion(element) {
+  const titleEl = element.querySelector('[class*="title"], h3, h4, a[href]');
+  const title = (titleEl?.textContent || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+  if (!title) return null;
+  
+  const url = Array.from(element.querySelectorAll('a[href]'))
+    .map(link => link.href)
+    .find(href => isOriginalSourceURL(href)) || '';
+  
+  const snippetEl = element.querySelector('[class*="snippet"], [class*="description"], [class*="summary"], p');
+  const snippet = snippetEl && snippetEl !== titleEl ? snippetEl.textContent.replace(/\s+/g, ' ').trim() : '';
+  
+  return {
+    title: title,
+    url: url,
+    snippet: snippet,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+// Map Studio item labels to note kinds
+const STUDIO_NOTE_KINDS = [
+  { kind: 'briefing', pattern: /briefing/i },
+  { kind: 'study-guide', pattern: /study\s*guide/i },
+  { kind: 'faq', pattern: /\bfaq\b/i },
+  { kind: 'timeline', pattern: /timeline/i }
+];
+
+// List saved notes and generated documents in the Studio panel (titles only)
+// Audio and Video Overviews share the list but are recordings, not notes
+function listStudioNotes() {
+  return Array.from(document.querySelectorAll(getSelector('studioNote')))
+    .map((element, index) => getOverviewKind(element) ? null : readStudioNoteItem(element, index))
+    .filter(note => note && note.title);
+}
+
+// Recognise Audio/Video Overviews by their player, label or Material icon
+// (never by the title, so a note called "Podcast ideas" stays a note)
+const STUDIO_OVERVIEW_KINDS = [
+  { kind: 'video', pattern: /video\s*overview|smart_display|video_library|movie/i },
+  { kind: 'audio', pattern: /audio\s*overview|deep\s*dive|podcast|headphones|audio_magic_eraser|graphic_eq/i }
+];
+
+// 'audio', 'video' or null for a Studio panel item
+function getOverviewKind(element) {
+  if (element.querySelector('video')) return 'video';
+  if (element.querySelector('audio')) return 'audio';
+  
+  const tagName = element.tagName.toLowerCase();
+  const label = [
+    tagName.includes('overview') ? tagName : '',
+    element.className && typeof element.className === 'string' ? element.className : '',
+    element.getAttribute('aria-label') || '',
+    Array.from(element.querySelectorAll('mat-icon, .material-icons, .material-symbols-outlined, [class*="icon"]'))
+      .map(icon => icon.textContent).join(' ')
+  ].join(' ');
+  
+  return STUDIO_OVERVIEW_KINDS.find(entry => entry.pattern.test(label))?.kind || null;
+}
+
+// Length of an overview in seconds, from its player or a "12:34" / "15 min" label
+function readOverviewDuration(element) {
+  const media = element.querySelector('audio, video');
+  if (media && Number.isFinite(media.duration) && media.duration > 0) {
+    return Math.round(media.duration);
+  }
+  
+  const text = element.textContent || '';
+  const clock = text.match(/(?<!\d)(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?!\d)/);
+  if (clock) {
+    return (parseInt(clock[1] || '0', 10) * 3600) + (parseInt(clock[2], 10) * 60) + parseInt(clock[3], 10);
+  }
+  
+  const minutes = text.match(/(?<!\d)(\d{1,3})\s*min/i);
+  if (minutes) {
+    return parseInt(minutes[1], 10) * 60;
+  }
+  
+  return null;
+}
+
+// List generated Audio and Video Overviews with the notebook they belong to
+function listStudioOverviews() {
+  const candidates = [
+    ...document.querySelectorAll(getSelector('studioOverview')),
+    ...Array.from(document.querySelectorAll(getSelector('studioNote'))).filter(element => getOverviewKind(element))
+  ];
+  
+  // An overview can match both selectors, or be nested in a list item that does
+  const elements = candidates.filter((element, i) =>
+    candidates.indexOf(element) === i &&
+    !candidates.some(other => other !== element && other.contains(element))
+  );
+  
+  const notebookUrl = window.location.origin + window.location.pathname;
+  
+  return elements.map((element, index) => {
+    const item = readStudioNoteItem(element, index);
+    return {
+      index: index,
+      kind: getOverviewKind(element) || 'audio',
+      title: item.title,
+      date: item.date,
+      duration: readOverviewDuration(element),
+      notebookName: getNotebookName(),
+      notebookUrl: notebookUrl
+    };
+  }).filter(overview => overview.title);
+}
+
+// Read title, kind and date from a Studio list item
+function readStudioNoteItem(element, index) {
+  const titleEl = element.querySelector('.artifact-title, [class*="note-title"], [class*="title"]');
+  const title = (titleEl?.textContent || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+  const label = element.textContent || '';
+  const kind = STUDIO_NOTE_KINDS.find(entry => entry.pattern.test(label))?.kind || 'note';
+  
+  return {
+    index: index,
+    title: title,
+    kind: kind,
+    date: extractDate(element)
+  };
+}
+
+/**
+ * Extract Studio notes with their content
+ * Opens each saved note or generated document, captures its formatted
+ * content as sanitized HTML plus plain text, then returns to the list
+ */
+async function extractStudioNotes(onProgress) {
+  const notes = [];
+  const total = document.querySelectorAll(getSelector('studioNote')).length;
+  
+  console.log(`[Studio] Found ${total} notes`);
+  
+  for (let i = 0; i < total; i++) {
+    // Re-query every time - opening a note re-renders the list
+    const element = document.querySelectorAll(getSelector('studioNote'))[i];
+    if (!element) break;
+    
+    const note = readStudioNoteItem(element, i);
+    if (!note.title || getOverviewKind(element)) continue;
+    
+    if (onProgress) {
+      onProgress({ current: i + 1, total: total, title: note.title });
+    }
+    
+    try {
+      element.click();
+      const viewer = await waitForElement(getSelector('noteViewer'), 4000);
+      await waitForDomSettle(viewer, 200, 2000);
+      
+      const contentEl = viewer.querySelector('.note-editor-content, .ProseMirror, .ql-editor, [contenteditable="true"], .artifact-content') || viewer;
+      note.html = sanitizeHTML(contentEl);
+      note.text = contentEl.innerText.trim();
+      
+      console.log(`[Studio] ✓ Captured note: ${note.title.substring(0, 50)}`);
+      notes.push(note);
+      
+      await closeNoteViewer(viewer);
+    } catch (error) {
+      console.log(`[Studio] Could not open note ${note.title}:`, error);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, SOURCE_DETAIL_DELAY));
+  }
+  
+  return notes;
+}
+
+// Return from an open note to the Studio list
+async function closeNoteViewer(viewer) {
+  const backButton = findIconButton(viewer, 'backButton') ||
+                     findIconButton(viewer, 'closeButton') ||
+                     findIconButton(document.querySelector('.studio-panel'), 'backButton');
+  
+  if (backButton) {
+    backButton.click();
+  } else {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  }
+  
+  for (let waited = 0; waited < 2000 && viewer.isConnected && viewer.offsetParent !== null; waited += 100) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Tags kept when capturing formatted content
+const ALLOWED_HTML_TAGS = new Set([
+  'P', 'BR', 'HR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI',
+  'STRONG', 'B', 'EM', 'I', 'U', 'S', 'CODE', 'PRE', 'BLOCKQUOTE', 'SUP', 'SUB',
+  'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'A'
+]);
+
+// Tags dropped together with their content
+const DROPPED_HTML_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BUTTON', 'SVG', 'MAT-ICON', 'IMG',
+  'INPUT', 'TEXTAREA', 'SELECT', 'IFRAME'
+]);
+
+const BLOCK_HTML_SELECTOR = 'p, div, ul, ol, table, pre, blockquote, h1, h2, h3, h4, h5, h6';
+
+// Serialize an element's content to sanitized HTML
+// Keeps structural formatting (headings, lists, emphasis, tables, code, links),
+// drops every attribute except safe link targets and table spans
+function sanitizeHTML(element) {
+  const serialize = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeHTML(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const tag = node.tagName.toUpperCase();
+    if (DROPPED_HTML_TAGS.has(tag)) return '';
+    
+    const inner = Array.from(node.childNodes).map(serialize).join('');
+    
+    if (!ALLOWED_HTML_TAGS.has(tag)) {
+      // Inline-only wrappers become paragraphs so text runs stay separated
+      if (tag === 'DIV' && inner.trim() && !node.querySelector(BLOCK_HTML_SELECTOR)) {
+        return `<p>${inner}</p>`;
+      }
+      return inner;
+    }
+    
+    const name = tag.toLowerCase();
+    if (tag === 'BR' || tag === 'HR') return `<${name}>`;
+    
+    let attributes = '';
+    if (tag === 'A') {
+      const href = node.getAttribute('href');
+      if (href && /^https?:\/\//i.test(href)) {
+        attributes = ` href="${escapeHTML(href)}"`;
+      }
+    }
+    if (tag === 'TD' || tag === 'TH') {
+      ['colspan', 'rowspan'].forEach(attr => {
+        const value = parseInt(node.getAttribute(attr), 10);
+        if (value > 1) attributes += ` ${attr}="${value}"`;
+      });
+    }
+    
+    return `<${name}${attributes}>${inner}</${name}>`;
+  };
+  
+  return Array.from(element.childNodes).map(serialize).join('').trim();
+}
+
+// Escape text for inclusion in HTML
+function escapeHTML(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// In-page "Send to Zotero" buttons
+const ZOTERO_ROW_BUTTON_CLASS = 'nlm-zotero-row-button';
+const ZOTERO_BULK_BUTTON_CLASS = 'nlm-zotero-bulk-button';
+const ZOTERO_BUTTON_STATES = {
+  idle: { text: 'Z', title: 'Send to Zotero' },
+  pending: { text: '…', title: 'Sending to Zotero...' },
+  created: { text: '✓', title: 'Added to Zotero' },
+  duplicate: { text: '=', title: 'Already in your Zotero library' },
+  error: { text: '!', title: 'Could not send to Zotero' }
+};
+
+// Add a Zotero button to every rendered source row and to the source panel header
+function injectZoteroButtons() {
+  // Only notebooks have a source list, and only known layouts say where it is
+  if (!/\/notebook\//.test(location.pathname)) return;
+  if (!isLayoutRecognised()) return;
+  
+  document.querySelectorAll(getSelector('sourceRow')).forEach(row => {
+    if (row.querySelector(`.${ZOTERO_ROW_BUTTON_CLASS}`)) return;
+    
+    const button = createZoteroButton(ZOTERO_ROW_BUTTON_CLASS);
+    setZoteroButtonState(button, 'idle');
+    button.addEventListener('click', (event) => {
+      // Don't let the row open its source viewer
+      event.preventDefault();
+      event.stopPropagation();
+      sendRowToZotero(row, button);
+    });
+    row.appendChild(button);
+  });
+  
+  const header = document.querySelector(getSelector('sourcePanelHeader'));
+  if (header && !header.querySelector(`.${ZOTERO_BULK_BUTTON_CLASS}`)) {
+    const button = createZoteroButton(ZOTERO_BULK_BUTTON_CLASS);
+    button.textContent = 'All → Zotero';
+    button.title = 'Send every source in this notebook to Zotero';
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      sendAllSourcesToZotero(button);
+    });
+    header.appendChild(button);
+  }
+}
+
+// Create an in-page button with the shared styling
+function createZoteroButton(className) {
+  injectZoteroStyles();
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `nlm-zotero-button ${className}`;
+  return button;
+}
+
+// Show one of ZOTERO_BUTTON_STATES on a row button
+function setZoteroButtonState(button, state, message) {
+  const { text, title } = ZOTERO_BUTTON_STATES[state];
+  button.textContent = text;
+  button.title = message ? `${title}: ${message}` : title;
+  button.setAttribute('aria-label', button.title);
+  button.dataset.state = state;
+  button.disabled = state === 'pending';
+}
+
+// Ask the background worker to enrich one source and add it to Zotero
+async function sendSourceToZotero(source) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'sendSourceToZotero',
+      source: source,
+      notebookName: getNotebookName()
+    });
+    return response || { status: 'error', message: 'No response from the extension' };
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+}
+
+// Send the source in a row and show the outcome on its button
+async function sendRowToZotero(row, button) {
+  let source = extractSourceData(row, 0);
+  if (!source || !source.title) {
+    setZoteroButtonState(button, 'error', 'Could not read this source');
+    return;
+  }
+  source.key = getSourceKey(row, source);
+  
+  setZoteroButtonState(button, 'pending');
+  
+  // Copied text is only useful with its text, and PDFs are identified from
+  // their first page - both are shown in the source viewer
+  if (source.type === 'text' || source.type === 'pdf') {
+    [source] = await withLiveModelPaused(() => readSourceDetails([source]));
+  }
+  
+  const result = await sendSourceToZotero(source);
+  setZoteroButtonState(button, result.status, result.message);
+  
+  if (result.status === 'created') {
+    showZoteroToast(`Added "${source.title}" to Zotero`, 'success');
+  } else if (result.status === 'duplicate') {
+    showZoteroToast(`"${source.title}" is already in your Zotero library`, 'info');
+  } else {
+    showZoteroToast(`Could not send "${source.title}": ${result.message}`, 'error');
+  }
+}
+
+// Send every source in the notebook, one at a time
+async function sendAllSourcesToZotero(button) {
+  button.disabled = true;
+  button.textContent = 'Collecting…';
+  
+  const counts = { created: 0, duplicate: 0, error: 0 };
+  const outcomes = new Map(); // source key -> result
+  
+  try {
+    const { sources } = await withLiveModelPaused(() => collectAllSources(getExpectedSourceCount()));
+    
+    // Read the text of copied text sources and the first page of PDFs before sending
+    const viewerSources = sources.filter(source => source.type === 'text' || source.type === 'pdf');
+    if (viewerSources.length > 0) {
+      button.textContent = 'Reading source text…';
+      const detailed = await withLiveModelPaused(() => readSourceDetails(viewerSources));
+      detailed.forEach(source => { sources[sources.findIndex(s => s.key === source.key)] = source; });
+    }
+    
+    for (let i = 0; i < sources.length; i++) {
+      button.textContent = `Sending ${i + 1}/${sources.length}…`;
+      const result = await sendSourceToZotero(sources[i]);
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      outcomes.set(sources[i].key, result);
+    }
+    
+    // Mirror the outcomes on the rows that are rendered now
+    const rows = findSourceElements();
+    const scroller = findSourceScrollContainer();
+    rows.forEach(row => {
+      const rowButton = row.querySelector(`.${ZOTERO_ROW_BUTTON_CLASS}`);
+      const source = rowButton && extractSourceData(row, 0);
+      const result = source && outcomes.get(getSourceKey(row, source, { rows: rows, scroller: scroller }));
+      if (result) setZoteroButtonState(rowButton, result.status, result.message);
+    });
+    
+    showZoteroToast(
+      `Zotero: ${counts.created} added, ${counts.duplicate} already in library, ${counts.error} failed`,
+      counts.error > 0 ? 'error' : 'success'
+    );
+  } catch (error) {
+    console.error('[Zotero] Bulk send failed:', error);
+    showZoteroToast(`Could not send sources to Zotero: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'All → Zotero';
+  }
+}
+
+// Show a short-lived message in the corner of the page
+function showZoteroToast(message, type) {
+  injectZoteroStyles();
+  const toast = document.createElement('div');
+  toast.className = `nlm-zotero-toast nlm-zotero-toast-${type}`;
+  toast.setAttribute('role', 'status');
+  toast.textContent = message;
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), 4000);
+}
+
+// Styles for the injected buttons and toasts (added once)
+function injectZoteroStyles() {
+  if (document.getElementById('nlm-zotero-styles')) return;
+  
+  const style = document.createElement('style');
+  style.id = 'nlm-zotero-styles';
+  style.textContent = `
+    .nlm-zotero-button { border: 1px solid #4279BB; background: #fff; color: #4279BB; border-radius: 12px; font: 600 11px/1 sans-serif; padding: 4px 8px; cursor: pointer; margin-left: 4px; flex-shrink: 0; }
+    .nlm-zotero-button:hover:not(:disabled) { background: #4279BB; color: #fff; }
+    .nlm-zotero-button:disabled { opacity: 0.6; cursor: default; }
+    .nlm-zotero-button[data-state="created"] { border-color: #28a745; color: #28a745; }
+    .nlm-zotero-button[data-state="duplicate"] { border-color: #8a9ba8; color: #8a9ba8; }
+    .nlm-zotero-button[data-state="error"] { border-color: #dc3545; color: #dc3545; }
+    .nlm-zotero-toast { position: fixed; right: 24px; bottom: 24px; z-index: 10000; max-width: 360px; padding: 12px 16px; border-radius: 8px; color: #fff; background: #354F6D; font: 13px/1.4 sans-serif; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2); }
+    .nlm-zotero-toast-success { background: #28a745; }
+    .nlm-zotero-toast-error { background: #dc3545; }
+    .nlm-zotero-toast-info { background: #4279BB; }
+  `;
+  document.head.appendChild(style);
+}
+
+// Live notebook model
+// Kept current by a MutationObserver so the popup can read a snapshot
+// instead of re-scanning the page every time it opens
+const liveModel = {
+  pathname: location.pathname, // notebook the model describes
+  sources: new Map(),       // source key -> source, in list order
+  seeded: false,            // a full scroll pass has captured every row
+  virtualized: false,       // the source list only renders visible rows
+  signature: '',            // detects changes worth notifying
+  conversations: null,      // from the last full extraction
+  conversationsStale: true,
+  conversationCitations: false, // whether the conversations have resolved citations
+  discoverSuggestions: new Map(), // url or title -> suggestion, kept after the panel closes
+  paused: 0,                // number of our own passes changing the page right now
+  updatedAt: null
+};
+const liveSubscribers = new Set();
+
+// Forget the previous notebook after navigating within NotebookLM - it is a
+// single-page app, so this script outlives the notebook it was reading
+// Returns whether the model was cleared
+function resetLiveModelOnNavigation() {
+  if (location.pathname === liveModel.pathname) return false;
+  
+  liveModel.pathname = location.pathname;
+  liveModel.sources = new Map();
+  liveModel.seeded = false;
+  liveModel.virtualized = false;
+  liveModel.signature = '';
+  liveModel.conversations = null;
+  liveModel.conversationsStale = true;
+  liveModel.conversationCitations = false;
+  liveModel.discoverSuggestions = new Map();
+  liveModel.updatedAt = new Date().toISOString();
+  sourceTitleSlots.clear();
+  return true;
+}
+
+// Replace the model with the result of a full extraction
+function seedLiveModel(result) {
+  resetLiveModelOnNavigation();
+  liveModel.sources = new Map(result.sources.map(source => [source.key, source]));
+  liveModel.seeded = true;
+  liveModel.signature = getLiveSignature();
+  liveModel.updatedAt = new Date().toISOString();
+  notifyLiveSubscribers();
+}
+
+// Rows the live model has read: row element -> { signature, source }
+// Rows whose signature is unchanged are not extracted again
+const liveRowCache = new WeakMap();
+
+// The parts of a row a page change can alter: its title (rows are recycled
+// while a virtualized list scrolls) and its checkbox
+function getLiveRowSignature(row) {
+  return `${getRowTitleSignature(row)}|${extractSelectedState(row)}`;
+}
+
+// Source in a row, reusing the last extraction while the row is unchanged
+function readLiveRow(row) {
+  const signature = getLiveRowSignature(row);
+  let cached = liveRowCache.get(row);
+  if (!cached || cached.signature !== signature) {
+    cached = { signature: signature, source: extractSourceDataQuietly(row, 0) };
+    liveRowCache.set(row, cached);
+  }
+  return { ...cached.source };
+}
+
+// Update the model from the rows rendered right now
+function refreshLiveModel() {
+  resetLiveModelOnNavigation();
+  if (!/\/notebook\//.test(location.pathname)) return;
+  if (!isLayoutRecognised()) return;
+  
+  const rendered = new Map();
+  const rows = findSourceElements();
+  const scroller = findSourceScrollContainer();
+  rows.forEach(row => {
+    const source = readLiveRow(row);
+    if (!source.title) return;
+    source.key = getSourceKey(row, source, { rows: rows, scroller: scroller });
+    rendered.set(source.key, source);
+  });
+  
+  liveModel.virtualized = !!scroller;
+  
+  let next;
+  if (liveModel.virtualized) {
+    // Off-screen rows are missing from the DOM, not removed from the notebook
+    next = new Map(liveModel.sources);
+    rendered.forEach((source, key) => next.set(key, mergeSourceUpdate(next.get(key), source)));
+    
+    // Removals can't be told apart from recycling - require a full pass next time
+    const expectedCount = getExpectedSourceCount();
+    if (expectedCount && next.size > expectedCount) {
+      liveModel.seeded = false;
+    }
+  } else {
+    // Everything is rendered: the DOM is the whole list
+    next = new Map();
+    rendered.forEach((source, key) => next.set(key, mergeSourceUpdate(liveModel.sources.get(key), source)));
+  }
+  
+  let index = 0;
+  next.forEach(source => { source.index = index++; });
+  liveModel.sources = next;
+  
+  const signature = getLiveSignature();
+  if (signature !== liveModel.signature) {
+    liveModel.signature = signature;
+    liveModel.updatedAt = new Date().toISOString();
+    notifyLiveSubscribers();
+  }
+}
+
+// Combine a freshly read row with what we already knew about the source
+// (links and summaries from the detail pass aren't visible on the row)
+function mergeSourceUpdate(previous, fresh) {
+  if (!previous) return fresh;
+  
+  const merged = { ...previous };
+  Object.entries(fresh).forEach(([field, value]) => {
+    if (value !== '' && value !== null && value !== undefined) {
+      merged[field] = value;
+    }
+  });
+  
+  // Keep the better type classification (e.g. one made from a resolved link)
+  if ((previous.typeConfidence || 0) > (fresh.typeConfidence || 0)) {
+    merged.type = previous.type;
+    merged.typeConfidence = previous.typeConfidence;
+  }
+  
+  return merged;
+}
+
+// Fields whose change the popup should hear about
+function getLiveSignature() {
+  return Array.from(liveModel.sources.values())
+    .map(source => `${source.key}|${source.title}|${source.type}|${source.selected}`)
+    .join('\n');
+}
+
+// Current model for the popup
+// ready is false when a full extraction is needed to trust the source list
+function getLiveSnapshot() {
+  resetLiveModelOnNavigation();
+  const sources = Array.from(liveModel.sources.values());
+  const expectedCount = getExpectedSourceCount();
+  const complete = expectedCount === null || sources.length >= expectedCount;
+  
+  return {
+    ready: !!getActiveSelectorProfile() && sources.length > 0 && complete &&
+           (liveModel.seeded || !liveModel.virtualized),
+    sources: sources,
+    notebookName: getNotebookName(),
+    notebook: getNotebookMetadata(sources),
+    expectedCount: expectedCount,
+    capturedCount: sources.length,
+    complete: complete,
+    conversations: liveModel.conversations || [],
+    conversationsStale: liveModel.conversationsStale,
+    conversationCitations: liveModel.conversationCitations,
+    studioNotes: listStudioNotes(),
+    studioOverviews: listStudioOverviews(),
+    discoverSuggestions: Array.from(liveModel.discoverSuggestions.values()),
+    updatedAt: liveModel.updatedAt
+  };
+}
+
+// Push the current snapshot to every open popup
+function notifyLiveSubscribers() {
+  if (liveSubscribers.size === 0) return;
+  const snapshot = getLiveSnapshot();
+  liveSubscribers.forEach(port => port.postMessage({ action: 'snapshot', snapshot: snapshot }));
+}
+
+// Run one of our own page-changing passes without it updating the model
+// Passes can overlap (a bulk send while the popup reads details), so the
+// model resumes only when the last one ends
+async function withLiveModelPaused(task) {
+  liveModel.paused++;
+  try {
+    return await task();
+  } finally {
+    // Drop the mutations we caused
+    pageObserver.takeRecords();
+    sourceListObserver.takeRecords();
+    liveModel.paused--;
+    if (liveModel.paused === 0) {
+      refreshLiveModel();
+    }
+  }
+}
+
+// Element a mutation happened in
+function getMutationElement(mutation) {
+  return mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+}
+
+// Whether a mutation is NotebookLM changing the source list (not our buttons)
+function mutationTouchesSources(mutation) {
+  const target = getMutationElement(mutation);
+  if (!target || target.closest('.nlm-zotero-button')) return false;
+  
+  const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+  if (changedNodes.length > 0 && changedNodes.every(node => node.classList?.contains('nlm-zotero-button'))) {
+    return false;
+  }
+  
+  const rowSelector = getSelector('sourceRow');
+  return [target, ...changedNodes]
+    .filter(node => node.nodeType === Node.ELEMENT_NODE)
+    .some(node => node.closest(rowSelector) || node.querySelector(rowSelector));
+}
+
+// Whether a childList mutation happened in, or added, an element matching selector
+function mutationTouchesSelector(mutation, selector) {
+  if (mutation.type !== 'childList') return false;
+  return [getMutationElement(mutation), ...mutation.addedNodes]
+    .filter(node => node && node.nodeType === Node.ELEMENT_NODE)
+    .some(node => node.closest(selector) || node.querySelector(selector));
+}
+
+// Watch the page for the live model and the in-page buttons
+let pageObserverTimer = null;
+let discoverObserverTimer = null;
+
+// Re-read the source list once NotebookLM has finished changing it
+function scheduleSourceRefresh() {
+  clearTimeout(pageObserverTimer);
+  pageObserverTimer = setTimeout(() => {
+    injectZoteroButtons();
+    refreshLiveModel();
+    observeSourceList();
+  }, 300);
+}
+
+const pageObserver = new MutationObserver((mutations) => {
+  // A different notebook (or the home page) replaced the one in the model
+  if (resetLiveModelOnNavigation()) {
+    notifyLiveSubscribers();
+    scheduleSourceRefresh();
+  }
+  
+  if (liveModel.paused) return;
+  
+  // New chat turns make the stored conversation out of date
+  const chatPanel = getSelector('chatPanel');
+  if (mutations.some(mutation => mutation.type === 'childList' && getMutationElement(mutation)?.closest(chatPanel))) {
+    liveModel.conversationsStale = true;
+  }
+  
+  // Discover suggestions are kept once seen - the panel is a dialog that closes
+  if (mutations.some(mutation => mutationTouchesSelector(mutation, getSelector('discoverPanel')))) {
+    clearTimeout(discoverObserverTimer);
+    discoverObserverTimer = setTimeout(() => {
+      if (captureDiscoverSuggestions()) notifyLiveSubscribers();
+    }, 300);
+  }
+  
+  if (mutations.some(mutationTouchesSources)) {
+    scheduleSourceRefresh();
+  }
+});
+pageObserver.observe(document.body, {
+  childList: true,
+  subtree: true
+});
+
+// Checkbox changes are attribute changes (Material checkboxes only toggle a
+// class), so attributes are watched in the source list alone, not the whole page
+let observedSourceList = null;
+const sourceListObserver = new MutationObserver((mutations) => {
+  if (liveModel.paused) return;
+  if (mutations.some(mutation => mutationTogglesCheckbox(mutation) && mutationTouchesSources(mutation))) {
+    scheduleSourceRefresh();
+  }
+});
+
+// Whether an attribute change ticked or unticked a checkbox - hover, focus
+// and ripple effects change classes far more often and are ignored
+function mutationTogglesCheckbox(mutation) {
+  if (mutation.attributeName !== 'class') return true;
+  return hasCheckedClass(mutation.oldValue) !== hasCheckedClass(mutation.target.className);
+}
+
+// Element holding every rendered source row
+function findSourceListContainer() {
+  const rows = findSourceElements();
+  if (rows.length === 0) return null;
+  
+  let container = rows[0].parentElement;
+  const lastRow = rows[rows.length - 1];
+  while (container && !container.contains(lastRow)) {
+    container = container.parentElement;
+  }
+  return container;
+}
+
+// Move the attribute observer to the current source list (NotebookLM may
+// render a new one, e.g. after navigating to another notebook)
+function observeSourceList() {
+  const container = isLayoutRecognised() ? findSourceListContainer() : null;
+  if (container === observedSourceList) return;
+  
+  sourceListObserver.disconnect();
+  observedSourceList = container;
+  if (container) {
+    sourceListObserver.observe(container, {
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      attributeFilter: ['aria-checked', 'checked', 'class']
+    });
+  }
+}
+
+injectZoteroButtons();
+refreshLiveModel();
+observeSourceList();
@@ -0,0 +1,122 @@
+// DOM Walker - Queries that also search open shadow roots and same-origin iframes
+// document.querySelectorAll stops at both, and some NotebookLM layouts render
+// panels (the source viewer, embedded panels) inside them.
+
+// Root label of every element returned by a deep query, for debugging
+const elementRootLabels = new WeakMap();
+
+// Short description of a shadow host or frame, e.g. "source-viewer#main.panel"
+function describeRootHost(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const className = typeof element.className === 'string' && element.className.trim()
+    ? `.${element.className.trim().split(/\s+/)[0]}`
+    : '';
+  return element.tagName.toLowerCase() + id + className;
+}
+
+// Document of a same-origin frame (null for cross-origin or unloaded frames)
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Roots of the whole document kept by cacheSearchRoots(), or null
+let cachedDocumentRoots = null;
+
+// Reuse the current roots of the document until clearSearchRootsCache(), for
+// passes that run many deep queries over a page whose roots don't change
+function cacheSearchRoots() {
+  cachedDocumentRoots = null;
+  cachedDocumentRoots = getSearchRoots(document);
+}
+
+function clearSearchRootsCache() {
+  cachedDocumentRoots = null;
+}
+
+// Every root to search below (and including) root, with a readable label:
+// "document", "document > source-viewer::shadow", "document > iframe#embed::frame"
+function getSearchRoots(root = document) {
+  if (root === document && cachedDocumentRoots) return cachedDocumentRoots;
+  
+  const roots = [{ root: root, label: root === document ? 'document' : getElementRoot(root) }];
+  
+  for (let i = 0; i < roots.length; i++) {
+    const { root: current, label } = roots[i];
+    
+    current.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        roots.push({ root: element.shadowRoot, label: `${label} > ${describeRootHost(element)}::shadow` });
+      }
+      if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+        const frameDocument = getFrameDocument(element);
+        if (frameDocument) {
+          roots.push({ root: frameDocument, label: `${label} > ${describeRootHost(element)}::frame` });
+        }
+      }
+    });
+  }
+  
+  return roots;
+}
+
+// querySelectorAll across shadow roots and accessible frames
+function deepQuerySelectorAll(selector, root = document) {
+  const elements = [];
+  
+  getSearchRoots(root).forEach(({ root: searchRoot, label }) => {
+    searchRoot.querySelectorAll(selector).forEach(element => {
+      elementRootLabels.set(element, label);
+      elements.push(element);
+    });
+  });
+  
+  return elements;
+}
+
+// querySelector across shadow roots and accessible frames (light DOM first)
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+  
+  for (const { root: searchRoot, label } of getSearchRoots(root)) {
+    const element = searchRoot.querySelector(selector);
+    if (element) {
+      elementRootLabels.set(element, label);
+      return element;
+    }
+  }
+  
+  return null;
+}
+
+// Label of the root an element lives in ("document" for the light DOM)
+function getElementRoot(element) {
+  if (elementRootLabels.has(element)) {
+    return elementRootLabels.get(element);
+  }
+  
+  const rootNode = element.getRootNode();
+  if (rootNode.host) {
+    return `${getElementRoot(rootNode.host)} > ${describeRootHost(rootNode.host)}::shadow`;
+  }
+  
+  const frame = rootNode !== document && rootNode.defaultView ? rootNode.defaultView.frameElement : null;
+  if (frame) {
+    return `${getElementRoot(frame)} > ${describeRootHost(frame)}::frame`;
+  }
+  
+  return 'document';
+}
+
+// How many elements came from each root, e.g. { document: 40, "document > x::shadow": 2 }
+function countElementRoots(elements) {
+  return elements.reduce((counts, element) => {
+    const label = getElementRoot(element);
+    counts[label] = (counts[label] || 0) + 1;
+    return counts;
+  }, {});
+}
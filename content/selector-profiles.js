@@ -0,0 +1,179 @@
+// Selector Profiles - Declarative NotebookLM DOM selectors
+// Each profile describes one known NotebookLM layout. Before extracting,
+// the content script scores every profile against the live page and uses
+// the best match, so a redesign is detected instead of exporting garbage.
+
+// Selectors shared by all profiles (a profile only lists what it changes)
+const BASE_SELECTORS = {
+  sourceRow: '.single-source-container, [data-source-id]',
+  sourceTitle: '.source-title, [class*="source-title"]',
+  sourceTitleColumn: '.source-title-column',
+  sourcePanelHeader: '.source-panel-header, [class*="source-panel"] [class*="header"], [class*="sources-header"]',
+  sourceViewer: 'source-viewer, .source-viewer, [class*="source-viewer"], .source-guide, [class*="source-guide"]',
+  sourceContent: '.source-content, [class*="source-content"], .source-text, [class*="source-text"], [class*="content-viewer"]',
+  chatPanel: '.chat-panel-content',
+  chatPair: '.chat-message-pair',
+  chatSession: '.chat-history-item, [class*="chat-session-item"], [class*="chat-history"] [role="option"], [class*="chat-history"] [role="menuitem"]',
+  citation: 'button.citation-marker, .citation-marker, [class*="citation-marker"], button[class*="citation"]',
+  citationTooltip: '[role="tooltip"], .mat-mdc-tooltip, .citation-tooltip, [class*="citation-popover"], [class*="citation-tooltip"]',
+  studioNote: 'artifact-library-item, note-list-item, .artifact-item, [class*="note-list-item"], .studio-panel [role="listitem"]',
+  discoverPanel: 'discover-sources-dialog, [class*="discover-sources"], [class*="discover-panel"], [role="dialog"][aria-label*="iscover"]',
+  discoverSuggestion: '[class*="discover-result"], [class*="suggested-source"], [class*="search-result"], mat-list-option, [role="listitem"], [role="option"]',
+  studioOverview: 'audio-overview, video-overview, [class*="audio-overview"], [class*="video-overview"]',
+  noteViewer: 'note-editor, .note-editor, [class*="note-editor"], .artifact-viewer, [class*="artifact-viewer"]',
+  notebookEmoji: '[class*="notebook-emoji"], [class*="project-emoji"], [class*="title-emoji"]',
+  notebookDescription: '[data-notebook-description], .notebook-description, [class*="notebook-description"], [class*="project-description"]',
+  notebookDate: '[class*="notebook-date"], [class*="project-date"], [class*="notebook-info"] time, [class*="created-date"], [class*="last-modified"], [class*="last-edited"]',
+  notebookCard: 'project-button, .project-button-card, [data-notebook-id], a[href*="/notebook/"]',
+  notebookSourceCount: '[class*="subtitle-part-sources"], [class*="source-count"], [class*="sources-count"]',
+  closeButton: '.close-button, [class*="close-button"]',
+  backButton: '.back-button, [class*="back-button"]'
+};
+
+// Icon names of icon-only buttons, matched when the selectors above find nothing
+// Unlike aria-labels, icon ligatures don't change with the UI language
+const BASE_BUTTON_ICONS = {
+  closeButton: ['close'],
+  backButton: ['arrow_back', 'arrow_back_ios', 'arrow_back_ios_new', 'chevron_left']
+};
+
+// Known layouts, newest first
+// checks: selectors expected on a notebook page. "within" looks inside the
+// first match of another selector; "required" checks must pass.
+// icons (optional) overrides BASE_BUTTON_ICONS like selectors overrides BASE_SELECTORS.
+const SELECTOR_PROFILES = [
+  {
+    id: 'angular-source-containers',
+    version: 2,
+    description: 'Angular Material layout with .single-source-container rows',
+    selectors: {
+      sourceRow: '.single-source-container',
+      sourceTitle: '.source-title, .mat-mdc-tooltip-trigger.source-title'
+    },
+    checks: [
+      { name: 'sourceRow', weight: 3, required: true },
+      { name: 'sourceTitle', within: 'sourceRow', weight: 2, required: true },
+      { name: 'sourcePanelHeader', weight: 1 },
+      { name: 'chatPanel', weight: 1 }
+    ]
+  },
+  {
+    id: 'data-source-attributes',
+    version: 1,
+    description: 'Source rows identified by data-source-id attributes',
+    selectors: {
+      sourceRow: '[data-source-id]',
+      sourceTitle: '[data-source-title], .source-title, [class*="source-title"]'
+    },
+    checks: [
+      { name: 'sourceRow', weight: 3, required: true },
+      { name: 'sourceTitle', within: 'sourceRow', weight: 2 },
+      { name: 'sourcePanelHeader', weight: 1 },
+      { name: 'chatPanel', weight: 1 }
+    ]
+  }
+];
+
+// Minimum share of check weight a profile must reach to be used
+const LAYOUT_MIN_SCORE = 0.6;
+
+// Profile chosen by the last health check
+let activeSelectorProfile = null;
+let layoutChecked = false;
+
+// Score one profile against the page
+function scoreSelectorProfile(profile) {
+  const selectorFor = (name) => profile.selectors[name] || BASE_SELECTORS[name];
+  let total = 0;
+  let matched = 0;
+  let requiredPassed = true;
+  
+  const checks = profile.checks.map(check => {
+    // Deep queries, so layouts rendered in shadow roots or frames are recognised
+    let root = document;
+    if (check.within) {
+      root = deepQuerySelector(selectorFor(check.within));
+    }
+    
+    const elements = root ? deepQuerySelectorAll(selectorFor(check.name), root) : [];
+    const found = elements.length > 0;
+    
+    total += check.weight;
+    if (found) matched += check.weight;
+    if (check.required && !found) requiredPassed = false;
+    
+    return { name: check.name, found: found, count: elements.length, roots: countElementRoots(elements) };
+  });
+  
+  const score = total > 0 ? matched / total : 0;
+  
+  return {
+    id: profile.id,
+    version: profile.version,
+    score: Math.round(score * 100) / 100,
+    recognised: requiredPassed && score >= LAYOUT_MIN_SCORE,
+    checks: checks
+  };
+}
+
+// Score every profile and activate the best recognised one
+// Returns { recognised, profile, results } for the popup and for debugging
+// quiet skips logging, for checks repeated while the page is still loading
+function checkLayoutHealth({ quiet = false } = {}) {
+  const results = SELECTOR_PROFILES.map(scoreSelectorProfile);
+  
+  let best = null;
+  results.forEach((result, i) => {
+    if (result.recognised && (!best || result.score > best.result.score)) {
+      best = { profile: SELECTOR_PROFILES[i], result: result };
+    }
+  });
+  
+  activeSelectorProfile = best ? best.profile : null;
+  layoutChecked = true;
+  
+  if (!quiet) {
+    if (best) {
+      console.log(`[Layout] Using profile ${best.profile.id} v${best.profile.version} (score ${best.result.score})`);
+    } else {
+      console.warn('[Layout] No selector profile matches this page:', results);
+    }
+  }
+  
+  return {
+    recognised: !!best,
+    profile: best ? { id: best.profile.id, version: best.profile.version } : null,
+    results: results
+  };
+}
+
+// Selector for a named page element, from the active profile when one matched
+// (the shared base selectors otherwise)
+function getSelector(name) {
+  // Pick a profile lazily for callers that run before any extraction
+  if (!layoutChecked) {
+    checkLayoutHealth();
+  }
+  
+  const profileSelectors = activeSelectorProfile ? activeSelectorProfile.selectors : {};
+  return profileSelectors[name] || BASE_SELECTORS[name];
+}
+
+// Whether the page matches a known layout. While it doesn't, the check is
+// repeated (quietly) since the page may still be rendering. Features that act
+// on the page by themselves - the live model and in-page buttons - wait for it.
+function isLayoutRecognised() {
+  if (activeSelectorProfile) return true;
+  return checkLayoutHealth({ quiet: true }).recognised;
+}
+
+// Icon names for a named button, from the active profile when it lists any
+function getButtonIcons(name) {
+  const profileIcons = activeSelectorProfile && activeSelectorProfile.icons ? activeSelectorProfile.icons : {};
+  return profileIcons[name] || BASE_BUTTON_ICONS[name] || [];
+}
+
+// Profile chosen by the last health check (null when none matched)
+function getActiveSelectorProfile() {
+  return activeSelectorProfile;
+}
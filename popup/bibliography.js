@@ -0,0 +1,353 @@
+/**
+ * Bibliography Renderer
+ * Formats plain or enriched sources as a reference list in a few built-in
+ * citation styles, for pasting into a document without going through Zotero.
+ *
+ * Entries are built from parts: plain strings, { italic } and { link }, so
+ * one formatter serves the HTML, Markdown and plain-text output.
+ */
+
+/**
+ * Italic part of an entry
+ */
+function bibItalic(text) {
+  return { italic: String(text) };
+}
+
+/**
+ * Link part of an entry
+ */
+function bibLink(url) {
+  return { link: url };
+}
+
+/**
+ * Closing period for an element, unless it already ends in punctuation
+ */
+function bibEndMark(text) {
+  return /[.?!]$/.test(String(text).trim()) ? '' : '.';
+}
+
+/**
+ * Initials of given names: "John Adam" -> "J. A.", "Jean-Paul" -> "J.-P."
+ */
+function bibInitials(given, separator = ' ') {
+  return String(given || '')
+    .split(/[\s.]+/)
+    .filter(Boolean)
+    .map(name => name.split('-').map(part => `${part.charAt(0).toUpperCase()}.`).join('-'))
+    .join(separator);
+}
+
+/**
+ * Join names with commas and a final conjunction: "A, B, & C"
+ * @param {boolean} serialComma - Comma before the conjunction with 3+ names
+ */
+function bibJoinNames(names, conjunction, serialComma = true) {
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) {
+    // APA keeps the comma before "&" even for two names
+    return conjunction === '&' ? `${names[0]}, & ${names[1]}` : `${names[0]} ${conjunction} ${names[1]}`;
+  }
+  return `${names.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${conjunction} ${names[names.length - 1]}`;
+}
+
+/**
+ * Normalise a page range to an en dash
+ */
+function bibPageRange(pages) {
+  return pages ? String(pages).replace(/\s*[-–—]+\s*/, '–') : '';
+}
+
+/**
+ * Collect the fields the styles need from a plain or enriched source
+ * @returns {Object} { kind: 'article' | 'book' | 'web', names, year, title, ... }
+ */
+function getBibliographyFields(source) {
+  const cslType = getCSLType(source);
+  const kind = cslType === 'article-journal' || cslType === 'article' ? 'article' : (cslType === 'book' ? 'book' : 'web');
+  const url = source.url && /^https?:/i.test(source.url) ? source.url : '';
+  const preprint = source.arxivId && !source.journal;
+  
+  return {
+    kind: kind,
+    names: (source.authors || []).map(toCSLName).filter(Boolean),
+    year: getBibTeXYear(source),
+    title: String(source.title || '').trim(),
+    container: preprint ? 'arXiv' : (source.journal || ''),
+    volume: source.volume ? String(source.volume) : '',
+    issue: source.issue ? String(source.issue) : '',
+    pages: bibPageRange(source.pages),
+    publisher: source.publisher || '',
+    doiLink: source.doi ? `https://doi.org/${source.doi}` : '',
+    url: url || (preprint ? `https://arxiv.org/abs/${source.arxivId}` : '')
+  };
+}
+
+/**
+ * APA 7th edition
+ */
+function formatAPA(fields) {
+  const parts = [];
+  const date = `(${fields.year || 'n.d.'}).`;
+  const title = fields.kind === 'article' ? [fields.title, bibEndMark(fields.title)] : [bibItalic(fields.title), bibEndMark(fields.title)];
+  
+  const names = fields.names.map(name => name.literal || `${name.family}, ${bibInitials(name.given)}`.replace(/,\s*$/, ''));
+  if (names.length > 20) {
+    names.splice(19, names.length - 20, '…');
+  }
+  
+  if (names.length > 0) {
+    const authors = names.length > 20 ? names.join(', ') : bibJoinNames(names, '&');
+    parts.push(`${authors}${bibEndMark(authors)} ${date} `, ...title);
+  } else {
+    parts.push(...title, ` ${date}`);
+  }
+  
+  if (fields.kind === 'article' && fields.container) {
+    parts.push(' ', bibItalic(fields.container));
+    if (fields.volume) parts.push(', ', bibItalic(fields.volume));
+    if (fields.issue) parts.push(`(${fields.issue})`);
+    if (fields.pages) parts.push(`, ${fields.pages}`);
+    parts.push('.');
+  } else if (fields.publisher) {
+    parts.push(` ${fields.publisher}${bibEndMark(fields.publisher)}`);
+  }
+  
+  const url = fields.doiLink || fields.url;
+  if (url) parts.push(' ', bibLink(url));
+  
+  return parts;
+}
+
+/**
+ * MLA 9th edition
+ */
+function formatMLA(fields) {
+  const parts = [];
+  const { names } = fields;
+  
+  if (names.length > 0) {
+    const first = names[0].literal || [names[0].family, names[0].given].filter(Boolean).join(', ');
+    let authors = first;
+    if (names.length === 2) {
+      authors = `${first}, and ${names[1].literal || `${names[1].given} ${names[1].family}`}`;
+    } else if (names.length > 2) {
+      authors = `${first}, et al.`;
+    }
+    parts.push(`${authors}${bibEndMark(authors)} `);
+  }
+  
+  // Articles and pages within a site are quoted; books and standalone works are italic
+  if (fields.kind === 'article' || (fields.kind === 'web' && fields.publisher)) {
+    parts.push(`“${fields.title}${bibEndMark(fields.title)}”`);
+  } else {
+    parts.push(bibItalic(fields.title), bibEndMark(fields.title));
+  }
+  
+  const elements = [];
+  if (fields.kind === 'article' && fields.container) {
+    elements.push(bibItalic(fields.container));
+    if (fields.volume) elements.push(`vol. ${fields.volume}`);
+    if (fields.issue) elements.push(`no. ${fields.issue}`);
+  } else if (fields.publisher) {
+    elements.push(fields.kind === 'web' ? bibItalic(fields.publisher) : fields.publisher);
+  }
+  if (fields.year) elements.push(fields.year);
+  if (fields.pages) elements.push(`${fields.pages.includes('–') ? 'pp.' : 'p.'} ${fields.pages}`);
+  
+  const url = fields.doiLink || fields.url;
+  if (url) elements.push(bibLink(url));
+  
+  elements.forEach((element, index) => {
+    parts.push(index === 0 ? ' ' : ', ', element);
+  });
+  if (elements.length > 0) parts.push('.');
+  
+  return parts;
+}
+
+/**
+ * Chicago 17th edition, notes and bibliography
+ */
+function formatChicago(fields) {
+  const parts = [];
+  const year = fields.year || 'n.d.';
+  
+  let names = fields.names.map((name, index) => {
+    if (name.literal) return name.literal;
+    return index === 0 ? [name.family, name.given].filter(Boolean).join(', ') : `${name.given} ${name.family}`;
+  });
+  if (names.length > 10) {
+    names = names.slice(0, 7);
+    names.push('et al.');
+  }
+  
+  if (names.length > 0) {
+    // The inverted first name always takes a comma before "and"
+    const authors = names[names.length - 1] === 'et al.' || names.length === 2
+      ? names.join(names.length === 2 ? ', and ' : ', ')
+      : bibJoinNames(names, 'and');
+    parts.push(`${authors}${bibEndMark(authors)} `);
+  }
+  
+  if (fields.kind === 'article') {
+    parts.push(`“${fields.title}${bibEndMark(fields.title)}”`);
+    if (fields.container) {
+      parts.push(' ', bibItalic(fields.container));
+      if (fields.volume) parts.push(` ${fields.volume}`);
+      if (fields.issue) parts.push(`, no. ${fields.issue}`);
+    }
+    parts.push(` (${year})`);
+    if (fields.pages) parts.push(`: ${fields.pages}`);
+    parts.push('.');
+  } else if (fields.kind === 'book') {
+    parts.push(bibItalic(fields.title), bibEndMark(fields.title));
+    parts.push(` ${[fields.publisher, year].filter(Boolean).join(', ')}.`);
+  } else {
+    parts.push(`“${fields.title}${bibEndMark(fields.title)}”`);
+    if (fields.publisher) parts.push(` ${fields.publisher}${bibEndMark(fields.publisher)}`);
+    if (fields.year) parts.push(` ${fields.year}.`);
+  }
+  
+  const url = fields.doiLink || fields.url;
+  if (url) parts.push(' ', bibLink(url), '.');
+  
+  return parts;
+}
+
+/**
+ * Harvard (Cite Them Right)
+ */
+function formatHarvard(fields) {
+  const parts = [];
+  const date = `(${fields.year || 'no date'})`;
+  
+  const names = fields.names.map(name => name.literal || `${name.family}, ${bibInitials(name.given, '')}`.replace(/,\s*$/, ''));
+  const authors = names.length > 3 ? `${names[0]} et al.` : bibJoinNames(names, 'and', false);
+  
+  if (fields.kind === 'article') {
+    const title = `‘${fields.title}’`;
+    parts.push(authors ? `${authors} ${date} ${title}` : `${title} ${date}`);
+    if (fields.container) {
+      parts.push(', ', bibItalic(fields.container));
+      if (fields.volume) parts.push(`, ${fields.volume}`);
+      if (fields.issue) parts.push(`(${fields.issue})`);
+    }
+    if (fields.pages) parts.push(`, ${fields.pages.includes('–') ? 'pp.' : 'p.'} ${fields.pages}`);
+    parts.push('.');
+  } else {
+    if (authors) {
+      parts.push(`${authors} ${date} `, bibItalic(fields.title), bibEndMark(fields.title));
+    } else {
+      parts.push(bibItalic(fields.title), ` ${date}.`);
+    }
+    if (fields.publisher) parts.push(` ${fields.publisher}${bibEndMark(fields.publisher)}`);
+  }
+  
+  if (fields.doiLink) {
+    parts.push(' Available at: ', bibLink(fields.doiLink), '.');
+  } else if (fields.url) {
+    const accessed = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    parts.push(' Available at: ', bibLink(fields.url), ` (Accessed: ${accessed}).`);
+  }
+  
+  return parts;
+}
+
+// Built-in citation styles
+// format(fields) returns the parts of one entry
+const BIBLIOGRAPHY_STYLES = {
+  apa: { label: 'APA 7th', heading: 'References', format: formatAPA },
+  mla: { label: 'MLA 9th', heading: 'Works Cited', format: formatMLA },
+  chicago: { label: 'Chicago 17th', heading: 'Bibliography', format: formatChicago },
+  harvard: { label: 'Harvard', heading: 'Reference list', format: formatHarvard }
+};
+
+/**
+ * Plain text of an entry's parts
+ */
+function bibPartsToText(parts) {
+  return parts.map(part => (typeof part === 'string' ? part : part.italic ?? part.link)).join('');
+}
+
+/**
+ * Render sources as a bibliography in one style
+ * Entries are sorted alphabetically, as all built-in styles require
+ * @param {Array} sources - Plain or enriched source objects
+ * @param {string} styleId - Key of BIBLIOGRAPHY_STYLES
+ * @returns {Object} { style, entries } where entries are arrays of parts
+ */
+function renderBibliography(sources, styleId) {
+  const style = BIBLIOGRAPHY_STYLES[styleId] || BIBLIOGRAPHY_STYLES.apa;
+  const seenSources = new Set();
+  const entries = [];
+  
+  sources.forEach(source => {
+    // Same duplicate rule as the file exports
+    const dedupeKey = getSourceDedupeKey(source);
+    if (!dedupeKey || seenSources.has(dedupeKey)) return;
+    seenSources.add(dedupeKey);
+    
+    entries.push(style.format(getBibliographyFields(source)));
+  });
+  
+  // Leading quotes don't count when sorting untitled-author entries
+  const sortKey = parts => bibPartsToText(parts).replace(/^[^\p{L}\p{N}]+/u, '');
+  entries.sort((a, b) => sortKey(a).localeCompare(sortKey(b), undefined, { sensitivity: 'base' }));
+  return { style: style, entries: entries };
+}
+
+/**
+ * HTML fragment: a heading and one paragraph per entry with a hanging indent
+ */
+function bibliographyToHTML(bibliography) {
+  const entries = bibliography.entries.map(parts => {
+    const html = parts.map(part => {
+      if (typeof part === 'string') return escapeHTML(part);
+      if (part.italic !== undefined) return `<i>${escapeHTML(part.italic)}</i>`;
+      return `<a href="${escapeHTML(part.link)}">${escapeHTML(part.link)}</a>`;
+    }).join('');
+    return `<p style="padding-left: 2em; text-indent: -2em;">${html}</p>`;
+  });
+  
+  return `<h2>${escapeHTML(bibliography.style.heading)}</h2>\n${entries.join('\n')}\n`;
+}
+
+/**
+ * Standalone HTML document for download
+ */
+function bibliographyToHTMLDocument(bibliography, notebookName) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(notebookName)} - ${escapeHTML(bibliography.style.heading)}</title>
+</head>
+<body style="font-family: 'Times New Roman', serif; max-width: 45em; margin: 2em auto; line-height: 1.5;">
+${bibliographyToHTML(bibliography)}</body>
+</html>
+`;
+}
+
+/**
+ * Markdown: italics with *, links as autolinks so URLs are not escaped
+ */
+function bibliographyToMarkdown(bibliography) {
+  const escapeMarkdown = text => text.replace(/([\\`*_[\]<>])/g, '\\$1');
+  
+  const entries = bibliography.entries.map(parts => parts.map(part => {
+    if (typeof part === 'string') return escapeMarkdown(part);
+    if (part.italic !== undefined) return `*${escapeMarkdown(part.italic)}*`;
+    return `<${part.link}>`;
+  }).join(''));
+  
+  return `## ${bibliography.style.heading}\n\n${entries.join('\n\n')}\n`;
+}
+
+/**
+ * Plain text, one entry per line
+ */
+function bibliographyToText(bibliography) {
+  return bibliography.entries.map(bibPartsToText).join('\n');
+}
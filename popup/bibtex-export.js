@@ -0,0 +1,274 @@
+/**
+ * BibTeX Export
+ * Serializes plain and enriched sources to BibTeX or BibLaTeX, with
+ * deterministic citation keys (author + year + first title word)
+ */
+
+// Characters with a special meaning in (La)TeX
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+// Title words skipped when picking the citation key word
+const CITATION_KEY_STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'on', 'in', 'for', 'and', 'to', 'with', 'from', 'at', 'by',
+  'der', 'die', 'das', 'ein', 'eine', 'le', 'la', 'les', 'un', 'une', 'el', 'los', 'las'
+]);
+
+// Initials written after the family name ("Smith J", "Smith J.R.")
+const TRAILING_INITIALS_PATTERN = /^(?:\p{Lu}\.?-?){1,3}$/u;
+
+/**
+ * Escape text for a BibTeX field value
+ */
+function escapeBibTeX(text) {
+  return String(text ?? '')
+    .replace(/[\\{}&%$#_~^]/g, char => BIBTEX_ESCAPES[char])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Clean a URL or DOI for a verbatim field (only braces would break the entry)
+ */
+function cleanBibTeXVerbatim(text) {
+  return String(text ?? '').replace(/\{/g, '%7B').replace(/\}/g, '%7D').trim();
+}
+
+/**
+ * Reduce text to lowercase ASCII letters and digits for citation keys
+ */
+function toCitationKeyPart(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Last name of an author written "First Last", "Last, First" or "Last F"
+ */
+function getAuthorLastName(author) {
+  const name = String(author ?? '').trim();
+  if (name.includes(',')) {
+    return name.split(',')[0];
+  }
+  const parts = name.split(/\s+/);
+  if (parts.length > 1 && TRAILING_INITIALS_PATTERN.test(parts[parts.length - 1]) && !TRAILING_INITIALS_PATTERN.test(parts[0])) {
+    parts.pop();
+  }
+  return parts[parts.length - 1];
+}
+
+/**
+ * Publication year of a source, or '' when unknown
+ */
+function getBibTeXYear(source) {
+  if (source.year) {
+    return String(source.year);
+  }
+  const match = String(source.date || '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Generate a citation key like "smith2020deep"
+ * Keys are deterministic: the same sources in the same order always get the
+ * same keys. Collisions get a letter suffix (smith2020deepa, smith2020deepb).
+ * @param {Object} source - Source with authors, year/date and title
+ * @param {Set<string>} usedKeys - Keys already taken in this file (updated)
+ */
+function generateCitationKey(source, usedKeys) {
+  const author = toCitationKeyPart(getAuthorLastName(source.authors && source.authors[0])) || 'anon';
+  const year = getBibTeXYear(source) || 'nd';
+  const word = String(source.title || '')
+    .split(/\s+/)
+    .map(toCitationKeyPart)
+    .find(part => part && !CITATION_KEY_STOPWORDS.has(part)) || 'untitled';
+  
+  const base = author + year + word;
+  let key = base;
+  for (let i = 0; usedKeys.has(key); i++) {
+    key = base + (i < 26 ? String.fromCharCode(97 + i) : i);
+  }
+  
+  usedKeys.add(key);
+  return key;
+}
+
+/**
+ * Key that tells duplicate sources apart in the exports
+ * Sources carry the key the content script gave them, which keeps
+ * same-titled sources ("Pasted Text") separate; older captures without one
+ * fall back to their title
+ * @param {Object} source - Plain or enriched source
+ * @returns {string} Dedupe key, or '' for an untitled source (skipped)
+ */
+function getSourceDedupeKey(source) {
+  const normalizedTitle = (source.title || '').trim().toLowerCase();
+  if (!normalizedTitle) return '';
+  return source.key || `title:${normalizedTitle}`;
+}
+
+/**
+ * Pick the entry type for a source
+ * BibTeX has no @online or @video, so those become @misc there
+ */
+function getBibTeXEntryType(source, dialect) {
+  const biblatex = dialect === 'biblatex';
+  
+  if (source.type === 'book' || source.isbn) return 'book';
+  if (source.journal) return 'article';
+  if (source.type === 'youtube' || source.type === 'video' || source.enrichmentType === 'youtube') {
+    return biblatex ? 'video' : 'misc';
+  }
+  if (source.type === 'web' || source.enrichmentType === 'web') {
+    return biblatex ? 'online' : 'misc';
+  }
+  if (source.type === 'pdf' && source.doi) return 'article';
+  return 'misc';
+}
+
+/**
+ * Format one entry, skipping empty fields
+ * @param {Array<[string, string, string?]>} fields - [name, value, mode]; mode is
+ *   'verbatim' for URLs and DOIs
+ */
+function formatBibTeXEntry(type, key, fields) {
+  const formatValue = (value, mode) => {
+    if (mode === 'verbatim') return cleanBibTeXVerbatim(value);
+    return escapeBibTeX(value);
+  };
+  
+  const lines = fields
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([name, value, mode]) => `  ${name} = {${formatValue(value, mode)}}`);
+  
+  return `@${type}{${key},\n${lines.join(',\n')}\n}\n\n`;
+}
+
+/**
+ * Build the fields of a source entry
+ */
+function sourceToBibTeXFields(source, type, dialect, notebookName) {
+  const biblatex = dialect === 'biblatex';
+  const year = getBibTeXYear(source);
+  const isoDate = /^\d{4}(-\d{2}){0,2}$/.test(String(source.date || '')) ? source.date : year;
+  const keywords = ['NotebookLM', ...(source.topics || [])].join(', ');
+  
+  const fields = [
+    ['author', (source.authors || []).join(' and ')],
+    ['title', source.title],
+    biblatex ? ['date', isoDate] : ['year', year],
+    [biblatex ? 'journaltitle' : 'journal', source.journal],
+    ['volume', source.volume],
+    ['number', source.issue],
+    ['pages', source.pages ? String(source.pages).replace(/\s*[-–]+\s*/, '--') : ''],
+    ['publisher', source.publisher],
+    ['isbn', source.isbn],
+    ['doi', source.doi, 'verbatim'],
+    ['url', source.url && /^https?:/i.test(source.url) ? source.url : '', 'verbatim']
+  ];
+  
+  // Web pages need an access date in BibLaTeX. The link stays in the url field
+  // only: inside \url{} in howpublished a raw % or # would break the entry
+  if (biblatex && source.url && (type === 'online' || type === 'video')) {
+    fields.push(['urldate', new Date().toISOString().split('T')[0]]);
+  }
+  
+  if (source.arxivId) {
+    fields.push(['eprint', source.arxivId, 'verbatim']);
+    fields.push(biblatex ? ['eprinttype', 'arxiv'] : ['archiveprefix', 'arXiv']);
+  }
+  
+  fields.push(['abstract', source.abstract || source.summary]);
+  fields.push(['keywords', keywords]);
+  fields.push(['note', notebookName ? `Exported from NotebookLM notebook: ${notebookName}` : '']);
+  
+  return fields;
+}
+
+/**
+ * Serialize sources to BibTeX or BibLaTeX
+ * @param {Array} sources - Plain or enriched source objects
+ * @param {string} notebookName - Notebook the sources belong to
+ * @param {Object} options
+ * @param {string} options.dialect - 'bibtex' or 'biblatex'
+ * @param {Array} [options.overviews] - Audio/Video Overviews to add
+ * @param {Object} [options.report] - Notebook report { url, lines } to add as @report
+ * @returns {string} File content
+ */
+function serializeBibTeX(sources, notebookName, { dialect = 'bibtex', overviews = [], report = null } = {}) {
+  const biblatex = dialect === 'biblatex';
+  const usedKeys = new Set();
+  const seenSources = new Set();
+  let bib = `% Exported from NotebookLM notebook: ${escapeBibTeX(notebookName)}\n\n`;
+  
+  sources.forEach(source => {
+    // Same duplicate rule as the RIS export
+    const dedupeKey = getSourceDedupeKey(source);
+    if (!dedupeKey || seenSources.has(dedupeKey)) return;
+    seenSources.add(dedupeKey);
+    
+    const type = getBibTeXEntryType(source, dialect);
+    const key = generateCitationKey(source, usedKeys);
+    bib += formatBibTeXEntry(type, key, sourceToBibTeXFields(source, type, dialect, notebookName));
+  });
+  
+  overviews.forEach(overview => {
+    const year = getBibTeXYear(overview);
+    const type = overview.kind === 'video' ? (biblatex ? 'video' : 'misc') : (biblatex ? 'audio' : 'misc');
+    const key = generateCitationKey({ title: overview.title, date: overview.date, authors: ['NotebookLM'] }, usedKeys);
+    
+    bib += formatBibTeXEntry(type, key, [
+      ['title', overview.title],
+      biblatex ? ['date', year] : ['year', year],
+      [biblatex ? 'organization' : 'publisher', 'NotebookLM'],
+      ['url', overview.notebookUrl, 'verbatim'],
+      ['note', [
+        overview.kind === 'video' ? 'Video Overview' : 'Audio Overview',
+        overview.duration ? `${Math.round(overview.duration / 60)} min` : '',
+        `NotebookLM notebook: ${overview.notebookName || notebookName}`
+      ].filter(Boolean).join('. ')]
+    ]);
+  });
+  
+  if (report) {
+    const key = generateCitationKey({ title: notebookName, year: new Date().getFullYear(), authors: ['NotebookLM'] }, usedKeys);
+    bib += formatBibTeXEntry('report', key, [
+      ['title', `NotebookLM Research Notebook: ${notebookName}`],
+      ['institution', 'NotebookLM'],
+      ['type', 'Research notebook'],
+      biblatex ? ['date', new Date().toISOString().split('T')[0]] : ['year', String(new Date().getFullYear())],
+      ['url', report.url, 'verbatim'],
+      ['note', (report.lines || []).join('; ')]
+    ]);
+  }
+  
+  return bib;
+}
+
+/**
+ * Serialize sources to BibTeX
+ */
+function generateBibTeX(sources, notebookName, options = {}) {
+  return serializeBibTeX(sources, notebookName, { ...options, dialect: 'bibtex' });
+}
+
+/**
+ * Serialize sources to BibLaTeX
+ */
+function generateBibLaTeX(sources, notebookName, options = {}) {
+  return serializeBibTeX(sources, notebookName, { ...options, dialect: 'biblatex' });
+}
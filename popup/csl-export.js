@@ -0,0 +1,182 @@
+/**
+ * CSL-JSON Export
+ * Serializes plain and enriched sources to CSL-JSON for Pandoc and other
+ * citation processors. Item ids are the BibTeX citation keys, so the same
+ * [@key] works with either file.
+ *
+ * Uses getBibTeXYear(), generateCitationKey(), getSourceDedupeKey() and
+ * TRAILING_INITIALS_PATTERN from bibtex-export.js, which popup.html loads first.
+ */
+
+// Words that mark an author as an organisation rather than a person
+const CSL_ORGANIZATION_PATTERN = /\b(university|institute|organi[sz]ation|association|society|council|agency|committee|foundation|ministry|notebooklm)\b/i;
+
+// Lowercase name particles that belong to the family name ("van Gogh")
+const CSL_NAME_PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'di', 'du', 'la', 'le', 'ter', 'ten', 'zu']);
+
+/**
+ * Split an author name into CSL family/given parts
+ * Handles "Last, First", "Last F" (PubMed style) and "First Middle Last";
+ * organisations and single names become literal names
+ */
+function toCSLName(author) {
+  const name = String(author ?? '').replace(/\s+/g, ' ').trim();
+  if (!name) return null;
+  
+  if (CSL_ORGANIZATION_PATTERN.test(name)) {
+    return { literal: name };
+  }
+  
+  if (name.includes(',')) {
+    const [family, ...given] = name.split(',');
+    return { family: family.trim(), given: given.join(',').trim() };
+  }
+  
+  const parts = name.split(' ');
+  if (parts.length === 1) {
+    return { literal: name };
+  }
+  
+  // "Smith J" / "van der Berg JA": initials after the family name
+  const last = parts[parts.length - 1];
+  if (TRAILING_INITIALS_PATTERN.test(last) && !TRAILING_INITIALS_PATTERN.test(parts[0])) {
+    return { family: parts.slice(0, -1).join(' '), given: last };
+  }
+  
+  // Walk back over particles so "Ludwig van Beethoven" keeps "van Beethoven"
+  let familyStart = parts.length - 1;
+  while (familyStart > 1 && CSL_NAME_PARTICLES.has(parts[familyStart - 1])) {
+    familyStart--;
+  }
+  
+  return {
+    family: parts.slice(familyStart).join(' '),
+    given: parts.slice(0, familyStart).join(' ')
+  };
+}
+
+/**
+ * Convert a date to CSL date-parts
+ * ISO dates keep month and day; anything else falls back to the year
+ * @returns {Object|null} { 'date-parts': [[year, month?, day?]] }
+ */
+function toCSLDate(date, year) {
+  const iso = String(date || '').match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (iso) {
+    return { 'date-parts': [iso.slice(1).filter(Boolean).map(part => parseInt(part, 10))] };
+  }
+  
+  const fallbackYear = year || getBibTeXYear({ date: date });
+  return fallbackYear ? { 'date-parts': [[parseInt(fallbackYear, 10)]] } : null;
+}
+
+/**
+ * Pick the CSL item type for a source
+ */
+function getCSLType(source) {
+  if (source.type === 'book' || source.isbn) return 'book';
+  if (source.journal) return 'article-journal';
+  if (source.arxivId) return 'article'; // Preprint
+  if (source.type === 'youtube' || source.type === 'video' || source.enrichmentType === 'youtube') return 'motion_picture';
+  if (source.type === 'web' || source.enrichmentType === 'web') return 'webpage';
+  if (source.type === 'pdf' && source.doi) return 'article-journal';
+  return 'document';
+}
+
+/**
+ * Drop empty fields so processors don't print blanks
+ */
+function compactCSLItem(item) {
+  Object.keys(item).forEach(key => {
+    const value = item[key];
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete item[key];
+    }
+  });
+  return item;
+}
+
+/**
+ * Convert a plain or enriched source to a CSL-JSON item
+ */
+function sourceToCSLItem(source, id, notebookName) {
+  const type = getCSLType(source);
+  const today = new Date();
+  
+  return compactCSLItem({
+    id: id,
+    type: type,
+    title: source.title,
+    author: (source.authors || []).map(toCSLName).filter(Boolean),
+    issued: toCSLDate(source.date, source.year),
+    'container-title': source.journal,
+    volume: source.volume ? String(source.volume) : '',
+    issue: source.issue ? String(source.issue) : '',
+    page: source.pages ? String(source.pages).replace(/\s*[–—]\s*/, '-') : '',
+    publisher: source.publisher || (source.arxivId && !source.journal ? 'arXiv' : ''),
+    number: source.arxivId ? `arXiv:${source.arxivId}` : '',
+    DOI: source.doi,
+    ISBN: source.isbn,
+    URL: source.url && /^https?:/i.test(source.url) ? source.url : '',
+    accessed: type === 'webpage' || type === 'motion_picture'
+      ? { 'date-parts': [[today.getFullYear(), today.getMonth() + 1, today.getDate()]] }
+      : null,
+    abstract: source.abstract || source.summary,
+    keyword: ['NotebookLM', ...(source.topics || [])].join(', '),
+    note: notebookName ? `Exported from NotebookLM notebook: ${notebookName}` : ''
+  });
+}
+
+/**
+ * Serialize sources to CSL-JSON
+ * @param {Array} sources - Plain or enriched source objects
+ * @param {string} notebookName - Notebook the sources belong to
+ * @param {Object} options
+ * @param {Array} [options.overviews] - Audio/Video Overviews to add
+ * @param {Object} [options.report] - Notebook report { url, lines } to add
+ * @returns {string} JSON array of CSL items
+ */
+function generateCSLJSON(sources, notebookName, { overviews = [], report = null } = {}) {
+  const usedKeys = new Set();
+  const seenSources = new Set();
+  const items = [];
+  
+  sources.forEach(source => {
+    // Same duplicate rule as the RIS export
+    const dedupeKey = getSourceDedupeKey(source);
+    if (!dedupeKey || seenSources.has(dedupeKey)) return;
+    seenSources.add(dedupeKey);
+    
+    items.push(sourceToCSLItem(source, generateCitationKey(source, usedKeys), notebookName));
+  });
+  
+  overviews.forEach(overview => {
+    items.push(compactCSLItem({
+      id: generateCitationKey({ title: overview.title, date: overview.date, authors: ['NotebookLM'] }, usedKeys),
+      type: overview.kind === 'video' ? 'motion_picture' : 'song', // Zotero's mapping for recordings
+      title: overview.title,
+      issued: toCSLDate(overview.date),
+      publisher: 'NotebookLM',
+      'collection-title': overview.notebookName || notebookName,
+      dimensions: overview.duration ? `${Math.round(overview.duration / 60)} min` : '',
+      medium: overview.kind === 'video' ? 'Video Overview' : 'Audio Overview',
+      URL: overview.notebookUrl
+    }));
+  });
+  
+  if (report) {
+    const today = new Date();
+    items.push(compactCSLItem({
+      id: generateCitationKey({ title: notebookName, year: today.getFullYear(), authors: ['NotebookLM'] }, usedKeys),
+      type: 'report',
+      title: `NotebookLM Research Notebook: ${notebookName}`,
+      publisher: 'NotebookLM',
+      genre: 'Research notebook',
+      issued: { 'date-parts': [[today.getFullYear(), today.getMonth() + 1, today.getDate()]] },
+      URL: report.url,
+      note: (report.lines || []).join('\n')
+    }));
+  }
+  
+  return JSON.stringify(items, null, 2);
+}
@@ -123,6 +123,11 @@ async function enrichSources(sources, progressCallback) {
  * Enrich a single source
  */
 async function enrichSource(source) {
+  // Copied text has no published counterpart to look up
+  if (source.type === 'text') {
+    return { ...source, confidence: 0, enrichmentType: 'none' };
+  }
+  
   // NEW: Try hybrid extraction first (DOI or URL based)
   // This gives us Zotero-quality metadata when possible
   try {
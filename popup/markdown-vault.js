@@ -0,0 +1,268 @@
+/**
+ * Markdown Vault Export
+ * Builds an Obsidian-style vault as a zip: one literature note per source
+ * with YAML frontmatter, a notebook index note linking them all, and the
+ * chat transcript with wiki-links to the cited sources.
+ */
+
+// Characters Obsidian doesn't allow in note names (or that break wiki-links)
+const NOTE_NAME_INVALID_CHARS = /[*"\\/<>:|?#^[\]]/g;
+
+/**
+ * Note name for a title, unique within the vault
+ * @param {Set<string>} usedNames - Lowercased names already taken (updated)
+ */
+function toNoteName(title, usedNames) {
+  const base = String(title || 'Untitled')
+    .replace(NOTE_NAME_INVALID_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .substring(0, 100)
+    .trim() || 'Untitled';
+  
+  let name = base;
+  for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+    name = `${base} (${i})`;
+  }
+  
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Quote a YAML scalar (JSON strings are valid YAML)
+ */
+function yamlValue(value) {
+  return typeof value === 'number' ? String(value) : JSON.stringify(String(value));
+}
+
+/**
+ * YAML frontmatter block, skipping empty values
+ * Arrays become block lists
+ */
+function toFrontmatter(fields) {
+  const lines = ['---'];
+  
+  Object.entries(fields).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      lines.push(`${key}:`);
+      value.forEach(item => lines.push(`  - ${yamlValue(item)}`));
+    } else if (value !== null && value !== undefined && value !== '') {
+      lines.push(`${key}: ${yamlValue(value)}`);
+    }
+  });
+  
+  lines.push('---', '');
+  return lines.join('\n');
+}
+
+/**
+ * Obsidian tag from free text: "Machine learning" -> "machine-learning"
+ */
+function toTag(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_/-]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Escape text for a Markdown body: wiki-link and embed brackets, emphasis,
+ * and characters that start a heading, list, quote or tag at a line start
+ */
+function escapeMarkdownText(text) {
+  return String(text ?? '')
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    .replace(/#(?=[^\s#])/g, '\\#') // #tag
+    .replace(/^(\s*)(#{1,6}|[>+-])(?=\s|$)/gm, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/gm, '$1\\$2')
+    .replace(/^(\s*)(={3,}|-{3,})\s*$/gm, '$1\\$2');
+}
+
+/**
+ * Wiki-link to a note, with an alias when the label differs
+ */
+function wikiLink(noteName, label) {
+  return label && label !== noteName ? `[[${noteName}|${label}]]` : `[[${noteName}]]`;
+}
+
+/**
+ * Literature note for one source
+ */
+function sourceToMarkdownNote(source, citationKey, notebookName, indexNoteName) {
+  const year = getBibTeXYear(source);
+  const tags = ['notebooklm', ...(source.topics || []).map(toTag)].filter(Boolean);
+  
+  let note = toFrontmatter({
+    title: source.title,
+    authors: source.authors || [],
+    year: year ? parseInt(year, 10) : '',
+    doi: source.doi,
+    url: source.url && /^https?:/i.test(source.url) ? source.url : '',
+    type: getCSLType(source),
+    journal: source.journal,
+    citekey: citationKey,
+    notebook: notebookName,
+    tags: [...new Set(tags)]
+  });
+  
+  note += `# ${escapeMarkdownText(source.title)}\n\n`;
+  
+  const byline = [
+    escapeMarkdownText((source.authors || []).join(', ')),
+    year,
+    source.journal ? `*${escapeMarkdownText(source.journal)}*` : ''
+  ].filter(Boolean).join(' · ');
+  if (byline) {
+    note += `${byline}\n\n`;
+  }
+  
+  const abstract = source.abstract || source.summary;
+  if (abstract) {
+    note += `## Abstract\n\n${escapeMarkdownText(abstract.trim())}\n\n`;
+  }
+  
+  if (source.topics && source.topics.length > 0) {
+    note += `## Key topics\n\n${source.topics.map(topic => `- ${escapeMarkdownText(topic)}`).join('\n')}\n\n`;
+  }
+  
+  note += `## Notes\n\n\n---\nFrom NotebookLM notebook ${wikiLink(indexNoteName, notebookName)}\n`;
+  return note;
+}
+
+/**
+ * Chat transcript with citation markers and cited sources as wiki-links
+ * @param {Function} findNote - citation -> note name (or null)
+ */
+function conversationsToMarkdownNote(conversations, notebookName, indexNoteName, findNote) {
+  let note = toFrontmatter({
+    title: `${notebookName} - Chat`,
+    notebook: notebookName,
+    tags: ['notebooklm', 'notebooklm-chat']
+  });
+  note += `# ${escapeMarkdownText(notebookName)} - Chat\n\nConversation from NotebookLM notebook ${wikiLink(indexNoteName, notebookName)}.\n\n`;
+  
+  let questionNum = 0;
+  let currentSession = null;
+  
+  conversations.forEach(conv => {
+    // Notebooks with several chat threads get a heading per thread
+    if (conv.session && conv.session !== currentSession) {
+      currentSession = conv.session;
+      note += `## ${escapeMarkdownText(currentSession)}\n\n`;
+    }
+    
+    const sent = conv.timestamp ? ` (${formatTimestamp(conv.timestamp)})` : '';
+    let text = (conv.html ? htmlToPlainText(conv.html) : conv.content || '').trim();
+    
+    if (conv.role === 'user') {
+      questionNum++;
+      note += `### Question ${questionNum}${sent}\n\n${text}\n\n`;
+      return;
+    }
+    
+    // [n] markers link to the cited source's note; the brackets stay visible
+    const cited = [];
+    (conv.citations || []).forEach(citation => {
+      const noteName = findNote(citation);
+      if (!noteName) return;
+      
+      text = text.split(`[${citation.marker}]`).join(`\\[[[${noteName}|${citation.marker}]]\\]`);
+      if (!cited.includes(noteName)) {
+        cited.push(noteName);
+      }
+    });
+    
+    note += `**NotebookLM**${sent}\n\n${text}\n\n`;
+    if (cited.length > 0) {
+      note += `Cited: ${cited.map(name => wikiLink(name)).join(', ')}\n\n`;
+    }
+  });
+  
+  return note;
+}
+
+/**
+ * Build the vault zip
+ * @param {Array} sources - Plain or enriched source objects
+ * @param {string} notebookName - Notebook the sources belong to
+ * @param {Object} options
+ * @param {Array} [options.conversations] - Messages from extractConversations()
+ * @param {Object} [options.notebook] - Notebook metadata (url, description, dates)
+ * @returns {Uint8Array} Zip file bytes
+ */
+function generateMarkdownVault(sources, notebookName, { conversations = [], notebook = null } = {}) {
+  const usedNames = new Set();
+  const usedKeys = new Set();
+  const seenSources = new Set();
+  const folder = toNoteName(notebookName || 'NotebookLM Export', new Set());
+  const indexNoteName = toNoteName(notebookName || 'NotebookLM Export', usedNames);
+  const chatNoteName = conversations.length > 0 ? toNoteName(`${notebookName} - Chat`, usedNames) : null;
+  
+  const files = [];
+  const notesByKey = new Map();
+  const notesByTitle = new Map();
+  const entries = [];
+  
+  sources.forEach(source => {
+    // Same duplicate rule as the file exports
+    const dedupeKey = getSourceDedupeKey(source);
+    if (!dedupeKey || seenSources.has(dedupeKey)) return;
+    seenSources.add(dedupeKey);
+    
+    const noteName = toNoteName(source.title, usedNames);
+    const key = generateCitationKey(source, usedKeys);
+    files.push({
+      name: `${folder}/Sources/${noteName}.md`,
+      content: sourceToMarkdownNote(source, key, notebookName, indexNoteName)
+    });
+    
+    if (source.key) notesByKey.set(source.key, noteName);
+    // Same-titled sources each get a note; a citation without a key links the first
+    const normalizedTitle = source.title.trim().toLowerCase();
+    if (!notesByTitle.has(normalizedTitle)) notesByTitle.set(normalizedTitle, noteName);
+    entries.push({ noteName: noteName, source: source });
+  });
+  
+  // Citations carry the source key; the title covers older captures
+  const findNote = citation => notesByKey.get(citation.sourceKey) ||
+    notesByTitle.get((citation.sourceTitle || '').trim().toLowerCase()) || null;
+  
+  let index = toFrontmatter({
+    title: notebookName,
+    url: notebook && notebook.url,
+    description: notebook && notebook.description,
+    created: notebook && notebook.created,
+    modified: notebook && notebook.modified,
+    tags: ['notebooklm', 'notebooklm-notebook']
+  });
+  index += `# ${notebook && notebook.emoji ? `${notebook.emoji} ` : ''}${escapeMarkdownText(notebookName)}\n\n`;
+  if (notebook && notebook.description) {
+    index += `${escapeMarkdownText(notebook.description)}\n\n`;
+  }
+  if (notebook && notebook.url) {
+    index += `[Open in NotebookLM](${notebook.url})\n\n`;
+  }
+  if (chatNoteName) {
+    index += `## Chat\n\n- ${wikiLink(chatNoteName)}\n\n`;
+  }
+  index += `## Sources (${entries.length})\n\n`;
+  index += entries.map(({ noteName, source }) => {
+    const year = getBibTeXYear(source);
+    return `- ${wikiLink(noteName)}${year ? ` (${year})` : ''}`;
+  }).join('\n');
+  index += '\n';
+  
+  files.unshift({ name: `${folder}/${indexNoteName}.md`, content: index });
+  
+  if (chatNoteName) {
+    files.push({
+      name: `${folder}/${chatNoteName}.md`,
+      content: conversationsToMarkdownNote(conversations, notebookName, indexNoteName, findNote)
+    });
+  }
+  
+  return createZip(files);
+}
@@ -27,6 +27,15 @@ const SOURCE_PATTERNS = {
   plos: /journals\.plos\.org\/plosone\/article\?id=(10\.\d{4,}\/[^\s]+)/i
 };
 
+// Identifiers printed on the first page of papers and books
+const TEXT_ID_PATTERNS = {
+  arxiv: /arXiv:\s*(\d{4}\.\d{4,5})(?:v\d+)?/i,
+  isbn: /ISBN(?:-1[03])?:?\s*((?:97[89][-\s]?)?(?:\d[-\s]?){9}[\dXx])\b/i
+};
+
+// First-page lines that are never the title (running heads, licences, dates...)
+const PDF_HEADER_LINE = /journal|volume|vol\.|issue|doi|https?:|www\.|©|copyright|arxiv|issn|isbn|received|accepted|published|preprint|proceedings|^\d+$|^page\s/i;
+
 /**
  * Extract DOI from various sources
  */
@@ -76,6 +85,139 @@ function cleanDOI(doi) {
     .trim();
 }
 
+/**
+ * Find DOI, arXiv ID and ISBN in the opening text of a PDF
+ */
+function extractIdentifiersFromText(text) {
+  const ids = { doi: null, arxivId: null, isbn: null };
+  if (!text) return ids;
+  
+  // Prefer explicitly labelled DOIs over any 10.xxxx string
+  for (const pattern of [DOI_PATTERNS.url, DOI_PATTERNS.embedded, DOI_PATTERNS.standard]) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (match) {
+      // Sentence punctuation often sticks to the end of a printed DOI
+      ids.doi = cleanDOI(match[1]).replace(/[.,;:)\]]+$/, '');
+      break;
+    }
+  }
+  
+  const arxivMatch = text.match(TEXT_ID_PATTERNS.arxiv);
+  if (arxivMatch) {
+    ids.arxivId = arxivMatch[1];
+  }
+  
+  const isbnMatch = text.match(TEXT_ID_PATTERNS.isbn);
+  if (isbnMatch) {
+    const isbn = isbnMatch[1].replace(/[-\s]/g, '').toUpperCase();
+    if (isValidISBN(isbn)) {
+      ids.isbn = isbn;
+    }
+  }
+  
+  return ids;
+}
+
+/**
+ * Check an ISBN-10 or ISBN-13 checksum
+ */
+function isValidISBN(isbn) {
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = isbn.split('').reduce((total, char, i) => {
+      return total + (char === 'X' ? 10 : parseInt(char, 10)) * (10 - i);
+    }, 0);
+    return sum % 11 === 0;
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = isbn.split('').reduce((total, char, i) => {
+      return total + parseInt(char, 10) * (i % 2 === 0 ? 1 : 3);
+    }, 0);
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+/**
+ * Guess the title and author lines from the opening text of a paper
+ * Returns { title, authors } or null
+ */
+function extractTitleAuthorBlock(text) {
+  if (!text) return null;
+  
+  const lines = text.split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .slice(0, 15);
+  
+  const titleIndex = lines.findIndex(line =>
+    line.length >= 15 && line.length <= 250 && !PDF_HEADER_LINE.test(line) && !/[.:]$/.test(line)
+  );
+  if (titleIndex === -1) return null;
+  
+  // Long titles wrap onto a second line that starts in lower case
+  let title = lines[titleIndex];
+  let next = titleIndex + 1;
+  if (lines[next] && /^[a-z]/.test(lines[next]) && title.length + lines[next].length < 250) {
+    title += ' ' + lines[next];
+    next++;
+  }
+  
+  // Author line: capitalised names separated by commas or "and",
+  // with affiliation markers (digits, *, †) stripped
+  const authorLine = (lines[next] || '').replace(/[\d*†‡§,]+(?=\s|,|$)/g, match => match.includes(',') ? ',' : '');
+  const authors = authorLine
+    .split(/\s*,\s*(?:and\s+)?|\s+and\s+|\s*&\s*/)
+    .map(name => name.trim())
+    .filter(name => /^(\p{Lu}[\p{L}'-]*\.?\s+)+\p{Lu}[\p{L}'-]+$/u.test(name));
+  
+  return {
+    title: title,
+    authors: authors.length > 0 && authors.length <= 20 ? authors : []
+  };
+}
+
+/**
+ * Get book metadata from Google Books using an ISBN
+ */
+async function getMetadataFromISBN(isbn) {
+  console.log('[Google Books] Fetching metadata for ISBN:', isbn);
+  
+  try {
+    const response = await fetch(`https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`);
+    if (!response.ok) {
+      console.log('[Google Books] Failed to fetch:', response.status);
+      return null;
+    }
+    
+    const data = await response.json();
+    const book = data.items?.[0]?.volumeInfo;
+    if (!book) {
+      console.log('[Google Books] No book found');
+      return null;
+    }
+    
+    console.log('[Google Books] Got metadata:', book.title);
+    
+    return {
+      title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title || '',
+      authors: book.authors || [],
+      abstract: book.description || '',
+      year: book.publishedDate ? parseInt(book.publishedDate, 10) : '',
+      date: book.publishedDate || '',
+      publisher: book.publisher || '',
+      isbn: isbn,
+      url: book.infoLink || '',
+      type: 'book',
+      confidence: 90,
+      enrichmentSource: 'Google Books (ISBN)'
+    };
+  } catch (error) {
+    console.error('[Google Books] Error fetching ISBN metadata:', error);
+    return null;
+  }
+}
+
 /**
  * Get full metadata from CrossRef using DOI
  * This is how Zotero does it!
@@ -358,6 +500,11 @@ async function findDOIByTitle(title) {
 async function extractMetadataHybrid(source) {
   console.log('[Hybrid Extract] Starting for:', source.title);
   
+  // Copied text has no DOI, URL or published title to search for
+  if (source.type === 'text') {
+    return null;
+  }
+  
   // Step 1: Try DOI from filename/URL (BEST quality)
   let doi = extractDOI(source);
   if (doi) {
@@ -377,9 +524,39 @@ async function extractMetadataHybrid(source) {
     }
   }
   
-  // Step 3: Try finding DOI by title search (MEDIUM quality)
+  // Step 3: Scan the PDF's opening text (read by the content script) for identifiers
+  let textBlock = null;
+  if (source.openingText) {
+    console.log('[Hybrid Extract] Scanning PDF opening text');
+    const ids = extractIdentifiersFromText(source.openingText);
+    
+    if (ids.doi) {
+      const metadata = await getMetadataFromDOI(ids.doi);
+      if (metadata) {
+        return { ...source, ...metadata, hadDOI: true, foundInText: true };
+      }
+    }
+    if (ids.arxivId) {
+      const metadata = await getMetadataFromArxiv(ids.arxivId);
+      if (metadata) {
+        return { ...source, ...metadata, foundInText: true };
+      }
+    }
+    if (ids.isbn) {
+      const metadata = await getMetadataFromISBN(ids.isbn);
+      if (metadata) {
+        return { ...source, ...metadata, foundInText: true };
+      }
+    }
+    
+    textBlock = extractTitleAuthorBlock(source.openingText);
+  }
+  
+  // Step 4: Try finding DOI by title search (MEDIUM quality)
+  // The title printed in the PDF beats a file name
+  const searchTitle = textBlock?.title || source.title;
   console.log('[Hybrid Extract] Trying DOI search by title');
-  doi = await findDOIByTitle(source.title);
+  doi = await findDOIByTitle(searchTitle);
   if (doi) {
     console.log('[Hybrid Extract] Found DOI via title search, using CrossRef');
     const metadata = await getMetadataFromDOI(doi);
@@ -388,7 +565,19 @@ async function extractMetadataHybrid(source) {
     }
   }
   
-  // Step 4: Fallback to original enrichment logic
+  // Step 5: Keep what the PDF itself says when nothing else matched
+  // The block is a guess, so it goes next to the NotebookLM title, not over it
+  if (textBlock) {
+    console.log('[Hybrid Extract] Using title/author block from PDF text');
+    return {
+      ...source,
+      pdfTitleBlock: textBlock,
+      confidence: 60,
+      enrichmentSource: 'PDF first page'
+    };
+  }
+  
+  // Step 6: Fallback to original enrichment logic
   console.log('[Hybrid Extract] All hybrid methods failed, will use fallback');
   return null; // Will trigger fallback in caller
 }
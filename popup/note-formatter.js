@@ -0,0 +1,121 @@
+/**
+ * Note Formatter
+ * Turns formatted NotebookLM content (sanitized HTML captured by the
+ * content script) into Zotero note HTML and readable RIS note text
+ */
+
+// Block-level tags that start a new line in plain text
+const BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI',
+  'PRE', 'BLOCKQUOTE', 'TABLE', 'TR', 'HR'
+]);
+
+/**
+ * Escape text for inclusion in Zotero note HTML
+ */
+function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert sanitized HTML to multi-line plain text
+ * Keeps the structure readable: headings and paragraphs on their own lines,
+ * list items prefixed with "-" or "1.", table cells separated by "|"
+ */
+function htmlToPlainText(html) {
+  if (!html) return '';
+  
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const lines = [];
+  let current = '';
+  
+  const breakLine = () => {
+    if (current.trim()) {
+      lines.push(current.replace(/\s+/g, ' ').trim());
+    }
+    current = '';
+  };
+  
+  const walk = (node, listContext) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      current += node.textContent;
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    
+    const tag = node.tagName.toUpperCase();
+    
+    if (tag === 'BR') {
+      breakLine();
+      return;
+    }
+    
+    if (BLOCK_TAGS.has(tag)) breakLine();
+    
+    if (tag === 'LI') {
+      listContext.count++;
+      current += listContext.ordered ? `${listContext.count}. ` : '- ';
+    }
+    
+    const childContext = (tag === 'UL' || tag === 'OL')
+      ? { ordered: tag === 'OL', count: 0 }
+      : listContext;
+    
+    let cellCount = 0;
+    Array.from(node.childNodes).forEach(child => {
+      if (child.tagName === 'TD' || child.tagName === 'TH') {
+        if (cellCount > 0) current += ' | ';
+        cellCount++;
+      }
+      walk(child, childContext);
+    });
+    
+    if (BLOCK_TAGS.has(tag)) breakLine();
+  };
+  
+  walk(doc.body, { ordered: false, count: 0 });
+  breakLine();
+  
+  return lines.join('\n');
+}
+
+/**
+ * Convert multi-line plain text to Zotero note paragraphs
+ */
+function textToNoteHTML(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => `<p>${escapeHTML(line)}</p>`)
+    .join('');
+}
+
+/**
+ * Format a multi-line note as one RIS N1 field
+ * The first line carries the tag, following lines are continuation lines
+ */
+function formatRISNote(text) {
+  const lines = String(text || '')
+    .split('\n')
+    .map(line => line.replace(/\r/g, '').trim())
+    .filter(Boolean)
+    // A continuation line must never look like a new RIS tag
+    .map(line => /^[A-Z][A-Z0-9]  - /.test(line) ? ` ${line}` : line);
+  
+  if (lines.length === 0) return '';
+  return `N1  - ${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a captured message timestamp for notes (empty when unknown)
+ */
+function formatTimestamp(isoString) {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
@@ -1,13 +1,25 @@
 // State Management
 let currentSources = [];
 let notebookName = '';
+let notebookMetadata = null;
+let activeTabId = null;
+let studioNoteCount = 0;
+let studioOverviews = [];
+let discoverSuggestions = [];
+let conversationsStale = false;
+let conversationCitations = false; // the conversations have resolved citations
+let currentState = null;
+let livePort = null;
+let lastEnrichedSources = null; // { notebookName, sources: { [source.key]: enriched } } from the last Enriched Export
 
 // UI State
 const States = {
   LOADING: 'loading',
   READY: 'ready',
   SUCCESS: 'success',
-  ERROR: 'error'
+  ERROR: 'error',
+  BATCH: 'batch',
+  LAYOUT: 'layout'
 };
 
 // Initialize
@@ -21,6 +33,7 @@ function setupEventListeners() {
   document.getElementById('exportBtn').addEventListener('click', handleExport);
   document.getElementById('exportAgain').addEventListener('click', resetToReady);
   document.getElementById('tryAgain').addEventListener('click', resetToReady);
+  document.getElementById('layoutTryAgain').addEventListener('click', resetToReady);
   
   // Enrichment export button
   const enrichBtn = document.getElementById('enrichExportBtn');
@@ -34,6 +47,64 @@ function setupEventListeners() {
     zoteroBtn.addEventListener('click', handleZoteroExport);
   }
   
+  // Batch export from the NotebookLM home page
+  document.getElementById('batchSelectAll').addEventListener('change', (event) => {
+    document.querySelectorAll('#notebookList input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateBatchButtons();
+  });
+  document.getElementById('batchRisBtn').addEventListener('click', handleBatchRISExport);
+  document.getElementById('batchZoteroBtn').addEventListener('click', handleBatchZoteroExport);
+  
+  // Restrict every export mode to the sources ticked in NotebookLM
+  const selectedOnlyToggle = document.getElementById('selectedOnlyToggle');
+  if (selectedOnlyToggle) {
+    selectedOnlyToggle.addEventListener('change', () => {
+      updateNotebookInfo(notebookName, getSourcesToExport());
+      updateBibliographyPreview();
+    });
+  }
+  
+  // Download format for the Quick and Enriched exports
+  const exportFormat = document.getElementById('exportFormat');
+  if (exportFormat) {
+    exportFormat.addEventListener('change', () => {
+      chrome.storage.local.set({ exportFormat: exportFormat.value });
+      updateExportButtonLabels();
+    });
+  }
+  
+  // Formatted bibliography: preview when opened, copy or download
+  const bibliographyPanel = document.getElementById('bibliographyPanel');
+  if (bibliographyPanel) {
+    bibliographyPanel.addEventListener('toggle', updateBibliographyPreview);
+    document.getElementById('bibliographyStyle').addEventListener('change', (event) => {
+      chrome.storage.local.set({ bibliographyStyle: event.target.value });
+      updateBibliographyPreview();
+    });
+    document.getElementById('copyBibliography').addEventListener('click', (event) => copyBibliography(event.currentTarget, true));
+    document.getElementById('copyBibliographyText').addEventListener('click', (event) => copyBibliography(event.currentTarget, false));
+    document.getElementById('downloadBibliographyHtml').addEventListener('click', () => downloadBibliography('html'));
+    document.getElementById('downloadBibliographyMarkdown').addEventListener('click', () => downloadBibliography('markdown'));
+  }
+  
+  // Remember whether to read source details before exporting
+  const readDetailsToggle = document.getElementById('readDetailsToggle');
+  if (readDetailsToggle) {
+    readDetailsToggle.addEventListener('change', () => {
+      chrome.storage.local.set({ readSourceDetails: readDetailsToggle.checked });
+    });
+  }
+  
+  // Remember how Discover suggestions are kept apart in Zotero
+  const discoverMode = document.getElementById('discoverMode');
+  if (discoverMode) {
+    discoverMode.addEventListener('change', () => {
+      chrome.storage.local.set({ discoverExportMode: discoverMode.value });
+    });
+  }
+  
   // Zotero modal close buttons
   const closeZoteroModal = document.getElementById('closeZoteroModal');
   if (closeZoteroModal) {
@@ -55,9 +126,11 @@ function setupEventListeners() {
 async function initializePopup() {
   try {
     showState(States.LOADING);
+    setLoadingText('Extracting sources...');
     
     // Get current tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTabId = tab.id;
     
     // Check if we're on NotebookLM
     if (!tab.url || !tab.url.includes('notebooklm.google.com')) {
@@ -65,10 +138,19 @@ async function initializePopup() {
       return;
     }
     
-    // Try to extract sources from the page
-    let result;
+    // Outside a notebook (e.g. the home page) offer batch export instead
+    if (!/\/notebook\//.test(tab.url)) {
+      await initializeBatchMode(tab.id);
+      return;
+    }
+    
+    // The content script's live model opens instantly when it covers the whole notebook,
+    // otherwise extract sources from the page
+    let result = await requestLiveSnapshot(tab.id);
     try {
-      result = await chrome.tabs.sendMessage(tab.id, { action: 'extractSources' });
+      if (!result) {
+        result = await chrome.tabs.sendMessage(tab.id, { action: 'extractSources' });
+      }
     } catch (error) {
       // Content script not loaded yet - inject it
       console.log('Content script not responding, injecting...');
@@ -77,7 +159,7 @@ async function initializePopup() {
         // Inject the content script
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['content/content.js']
+          files: ['content/dom-walker.js', 'content/selector-profiles.js', 'content/content.js']
         });
         
         // Wait a moment for it to initialize
@@ -92,6 +174,11 @@ async function initializePopup() {
       }
     }
     
+    if (result.layout && !result.layout.recognised) {
+      showLayoutNotRecognised(result.layout);
+      return;
+    }
+    
     if (result.error) {
       showError(result.error);
       return;
@@ -99,6 +186,29 @@ async function initializePopup() {
     
     currentSources = result.sources;
     notebookName = result.notebookName;
+    notebookMetadata = result.notebook || null;
+    updateSelectedOnlyOption(currentSources);
+    
+    const { exportFormat } = await chrome.storage.local.get('exportFormat');
+    if (exportFormat && EXPORT_FORMATS[exportFormat]) {
+      document.getElementById('exportFormat').value = exportFormat;
+    }
+    updateExportButtonLabels();
+    
+    const { bibliographyStyle } = await chrome.storage.local.get('bibliographyStyle');
+    if (bibliographyStyle && BIBLIOGRAPHY_STYLES[bibliographyStyle]) {
+      document.getElementById('bibliographyStyle').value = bibliographyStyle;
+    }
+    
+    // Enriched sources from an earlier popup in this browser session
+    const stored = await chrome.storage.session.get('lastEnrichedSources');
+    lastEnrichedSources = stored.lastEnrichedSources || null;
+    
+    const { readSourceDetails } = await chrome.storage.local.get('readSourceDetails');
+    const readDetailsToggle = document.getElementById('readDetailsToggle');
+    if (readDetailsToggle) {
+      readDetailsToggle.checked = readSourceDetails !== false;
+    }
     
     // Store conversations if available
     if (result.conversations && result.conversations.length > 0) {
@@ -106,41 +216,35 @@ async function initializePopup() {
       console.log(`Captured ${result.conversations.length} conversation messages from NotebookLM`);
     }
     
+    // Changed chats are re-read when exporting
+    conversationsStale = !!result.conversationsStale;
+    conversationCitations = !!result.conversationCitations;
+    
+    // Studio notes are listed now and read when exporting
+    studioNoteCount = (result.studioNotes || []).length;
+    delete window.notebookNotes;
+    
+    // Audio/Video Overviews are listed with their metadata - nothing to open
+    studioOverviews = result.studioOverviews || [];
+    updateOverviewsOption(studioOverviews);
+    
+    // Discover suggestions go to Zotero only, apart from the sources
+    discoverSuggestions = result.discoverSuggestions || [];
+    updateDiscoverOption(discoverSuggestions);
+    const { discoverExportMode } = await chrome.storage.local.get('discoverExportMode');
+    if (discoverExportMode) {
+      document.getElementById('discoverMode').value = discoverExportMode;
+    }
+    
     // Update UI
     updateNotebookInfo(result.notebookName, result.sources);
+    updateCaptureNotice(result.expectedCount, result.capturedCount, result.timedOut);
     showState(States.READY);
+    subscribeToLiveUpdates(tab.id);
     
-    // Enable export button if we have sources
-    const exportBtn = document.getElementById('exportBtn');
-    const enrichExportBtn = document.getElementById('enrichExportBtn');
-    const zoteroExportBtn = document.getElementById('zoteroExportBtn');
-    
-    console.log('[DEBUG] Button elements found:', {
-      exportBtn: !!exportBtn,
-      enrichExportBtn: !!enrichExportBtn,
-      zoteroExportBtn: !!zoteroExportBtn
-    });
-    
-    if (result.sources.length > 0) {
-      exportBtn.disabled = false;
-      if (enrichExportBtn) enrichExportBtn.disabled = false;
-      
-      console.log('[DEBUG] Checking Zotero configuration...');
-      
-      // Enable Zotero button only if API is configured
-      if (zoteroExportBtn) {
-        checkZoteroConfig().then(isConfigured => {
-          console.log('[DEBUG] Zotero configured:', isConfigured);
-          zoteroExportBtn.disabled = !isConfigured;
-          console.log('[DEBUG] Zotero button disabled state:', zoteroExportBtn.disabled);
-        });
-      } else {
-        console.warn('[DEBUG] Zotero button element not found!');
-      }
-    } else {
-      exportBtn.disabled = true;
-      if (enrichExportBtn) enrichExportBtn.disabled = true;
-      if (zoteroExportBtn) zoteroExportBtn.disabled = true;
+    // Enable export buttons if we have sources
+    updateExportButtons(result.sources.length > 0);
+    if (result.sources.length === 0) {
       showError('This notebook has no sources to export.');
     }
     
@@ -150,6 +254,27 @@ async function initializePopup() {
   }
 }
 
+// Enable the export buttons when there are sources to export
+// The Zotero button also needs a configured Zotero API key
+function updateExportButtons(hasSources) {
+  const exportBtn = document.getElementById('exportBtn');
+  const enrichExportBtn = document.getElementById('enrichExportBtn');
+  const zoteroExportBtn = document.getElementById('zoteroExportBtn');
+  
+  exportBtn.disabled = !hasSources;
+  if (enrichExportBtn) enrichExportBtn.disabled = !hasSources;
+  if (!zoteroExportBtn) return;
+  
+  if (!hasSources) {
+    zoteroExportBtn.disabled = true;
+    return;
+  }
+  checkZoteroConfig().then(isConfigured => {
+    // The source list may have emptied while the settings were read
+    zoteroExportBtn.disabled = !isConfigured || currentSources.length === 0;
+  });
+}
+
 // Update Notebook Information
 function updateNotebookInfo(name, sources) {
   document.getElementById('notebookName').textContent = name || 'Untitled Notebook';
@@ -174,6 +299,7 @@ function updateNotebookInfo(name, sources) {
       youtube: '📺 YouTube Videos',
       drive: '📁 Google Drive Files',
       doc: '📝 Documents',
+      text: '📋 Copied Text',
       unknown: '❓ Other'
     };
     
@@ -190,22 +316,273 @@ function updateNotebookInfo(name, sources) {
   }
 }
 
+// Whether the last Enriched Export belongs to this notebook
+function hasEnrichedSources() {
+  return !!lastEnrichedSources && lastEnrichedSources.notebookName === notebookName;
+}
+
+// Swap in the enriched version of each source from the last Enriched Export
+// Sources added since then stay as extracted
+function withEnrichmentResults(sources) {
+  if (!hasEnrichedSources()) return sources;
+  
+  return sources.map(source => (source.key && lastEnrichedSources.sources[source.key]) || source);
+}
+
+// Keep the enriched sources for the rest of the browser session, so the
+// bibliography and the vault and RDF exports still use them after the popup closes
+async function saveEnrichedSources(sources) {
+  lastEnrichedSources = {
+    notebookName: notebookName,
+    sources: Object.fromEntries(sources.filter(source => source.key).map(source => [source.key, source]))
+  };
+  
+  try {
+    await chrome.storage.session.set({ lastEnrichedSources: lastEnrichedSources });
+  } catch (error) {
+    console.error('[Bibliography] Could not keep enriched sources:', error);
+  }
+}
+
+// Show the "selected sources only" option when NotebookLM reports checkbox state
+function updateSelectedOnlyOption(sources) {
+  const option = document.getElementById('selectedOnlyOption');
+  if (!option) return;
+  
+  const hasSelectionState = sources.some(source => typeof source.selected === 'boolean');
+  const selectedCount = sources.filter(source => source.selected === true).length;
+  
+  option.style.display = hasSelectionState ? 'flex' : 'none';
+  document.getElementById('selectedOnlyLabel').textContent =
+    `Export selected sources only (${selectedCount} of ${sources.length})`;
+  
+  const toggle = document.getElementById('selectedOnlyToggle');
+  toggle.disabled = selectedCount === 0;
+  if (selectedCount === 0) toggle.checked = false;
+}
+
+// Sources the current export should include
+function getSourcesToExport() {
+  const toggle = document.getElementById('selectedOnlyToggle');
+  if (toggle && toggle.checked) {
+    return currentSources.filter(source => source.selected === true);
+  }
+  return currentSources;
+}
+
+// Offer Audio/Video Overviews as recordings when the notebook has any
+function updateOverviewsOption(overviews) {
+  const option = document.getElementById('overviewsOption');
+  if (!option) return;
+  
+  option.style.display = overviews.length > 0 ? 'flex' : 'none';
+  document.getElementById('overviewsLabel').textContent =
+    `Include ${overviews.length} Audio/Video Overview${overviews.length === 1 ? '' : 's'} as recordings`;
+}
+
+// Overviews the current export should include
+// Batch exports pass each notebook's overviews and the batch panel's toggle
+function getOverviewsToExport(overviews = studioOverviews, toggleId = 'overviewsToggle') {
+  const toggle = document.getElementById(toggleId);
+  return toggle && toggle.checked ? overviews : [];
+}
+
+// Offer Discover suggestions as a Zotero reading list once some were captured
+function updateDiscoverOption(suggestions) {
+  const option = document.getElementById('discoverOption');
+  if (!option) return;
+  
+  option.style.display = suggestions.length > 0 ? 'flex' : 'none';
+  document.getElementById('discoverLabel').textContent =
+    `Add ${suggestions.length} Discover suggestion${suggestions.length === 1 ? '' : 's'} to Zotero as`;
+}
+
+// Discover suggestions the Zotero export should include
+// Suggestions already added to the notebook are left out
+function getDiscoverSuggestionsToExport() {
+  const toggle = document.getElementById('discoverToggle');
+  if (!toggle || !toggle.checked) return [];
+  
+  const sourceUrls = new Set(currentSources.map(source => source.url).filter(Boolean));
+  const sourceTitles = new Set(currentSources.map(source => (source.title || '').toLowerCase()));
+  return discoverSuggestions.filter(suggestion =>
+    !sourceUrls.has(suggestion.url) && !sourceTitles.has(suggestion.title.toLowerCase())
+  );
+}
+
+// Warn when fewer sources were captured than NotebookLM reports
+function updateCaptureNotice(expectedCount, capturedCount, timedOut = false) {
+  const notice = document.getElementById('captureNotice');
+  if (!notice) return;
+  
+  if (timedOut) {
+    const of = expectedCount ? ` of ${expectedCount}` : '';
+    notice.textContent = `Loading the source list took too long, so only ${capturedCount}${of} sources were captured. Reopen this popup to try again.`;
+    notice.style.display = 'block';
+  } else if (expectedCount && capturedCount < expectedCount) {
+    notice.textContent = `Captured ${capturedCount} of ${expectedCount} sources. Some sources could not be loaded from the source list - try scrolling through it in NotebookLM and reopening this popup.`;
+    notice.style.display = 'block';
+  } else {
+    notice.style.display = 'none';
+  }
+}
+
+// Download formats for the Quick and Enriched exports
+// generate(sources, notebookName) returns the file content (text or zip bytes);
+// generateEnriched is used for enriched sources when the format has a separate serializer;
+// citations marks formats that link chat citations to their sources
+const EXPORT_FORMATS = {
+  ris: {
+    label: 'RIS',
+    extension: 'ris',
+    mimeType: 'application/x-research-info-systems;charset=utf-8',
+    generate: (sources, name) => generateRIS(sources, name),
+    generateEnriched: (sources, name) => generateEnrichedRIS(sources, name)
+  },
+  bibtex: {
+    label: 'BibTeX',
+    extension: 'bib',
+    mimeType: 'application/x-bibtex;charset=utf-8',
+    generate: (sources, name) => generateBibTeX(sources, name, getBibliographyExportOptions())
+  },
+  biblatex: {
+    label: 'BibLaTeX',
+    extension: 'bib',
+    mimeType: 'application/x-bibtex;charset=utf-8',
+    generate: (sources, name) => generateBibLaTeX(sources, name, getBibliographyExportOptions())
+  },
+  csljson: {
+    label: 'CSL-JSON',
+    extension: 'json',
+    mimeType: 'application/vnd.citationstyles.csl+json;charset=utf-8',
+    generate: (sources, name) => generateCSLJSON(sources, name, getBibliographyExportOptions())
+  },
+  zoteroRdf: {
+    label: 'Zotero RDF',
+    extension: 'rdf',
+    mimeType: 'application/rdf+xml;charset=utf-8',
+    citations: true,
+    generate: (sources, name) => generateZoteroRDF(buildZoteroRDFLibrary(withEnrichmentResults(sources), name)),
+    generateEnriched: (sources, name) => generateZoteroRDF(buildZoteroRDFLibrary(sources, name, { enriched: true }))
+  },
+  obsidian: {
+    label: 'Obsidian',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    citations: true,
+    generate: (sources, name) => generateMarkdownVault(withEnrichmentResults(sources), name, {
+      conversations: window.notebookConversations || [],
+      notebook: notebookMetadata
+    })
+  }
+};
+
+// Format chosen in the popup (RIS when nothing is selected)
+function getExportFormat() {
+  const select = document.getElementById('exportFormat');
+  return EXPORT_FORMATS[select && select.value] || EXPORT_FORMATS.ris;
+}
+
+// Show the chosen format on the download buttons
+function updateExportButtonLabels() {
+  const { label } = getExportFormat();
+  document.querySelector('#exportBtn .button-text').textContent = `Quick Export (${label})`;
+  document.querySelector('#enrichExportBtn .button-text').textContent = `Enriched Export (${label})`;
+  document.getElementById('closeModal').textContent = `Download Enriched ${label} File`;
+}
+
+// Collections and items for the Zotero RDF export, built like the direct export:
+// the notebook collection with the sources and their citation and copied-text
+// notes, Studio notes, Overviews, Discover suggestions and the notebook report
+// with the conversation transcript as a child note. Keys are local to the file.
+// The enriched variant also writes the item types and identifiers enrichment found.
+function buildZoteroRDFLibrary(sources, notebookName, { enriched = false } = {}) {
+  const conversations = window.notebookConversations || [];
+  const collections = [];
+  const items = [];
+  const itemKeys = {}; // source key -> item key
+  let lastKey = 0;
+  
+  const nextKey = () => String(++lastKey);
+  const addItem = (item) => {
+    item.key = nextKey();
+    items.push(item);
+    return item.key;
+  };
+  
+  const collectionKey = nextKey();
+  collections.push({ key: collectionKey, name: `NotebookLM: ${notebookName}`, parentCollection: false });
+  
+  sources.forEach(source => {
+    const key = addItem(enriched ? enrichedSourceToZoteroItem(source, collectionKey) : sourceToZoteroItem(source, collectionKey));
+    if (source.key) {
+      itemKeys[source.key] = key;
+    }
+    if (source.type === 'text' && source.content) {
+      addItem(sourceContentToZoteroNote(source, key));
+    }
+  });
+  
+  (window.notebookNotes || []).forEach(note => addItem(studioNoteToZoteroItem(note, collectionKey)));
+  getOverviewsToExport().forEach(overview => addItem(overviewToZoteroItem(overview, collectionKey)));
+  
+  // Same "To read" subcollection or tag-only choice as the direct export
+  const suggestions = getDiscoverSuggestionsToExport();
+  if (suggestions.length > 0) {
+    let readingListKey = null;
+    if (document.getElementById('discoverMode').value === 'collection') {
+      readingListKey = nextKey();
+      collections.push({ key: readingListKey, name: 'To read', parentCollection: collectionKey });
+    }
+    suggestions.forEach(suggestion => addItem(discoverSuggestionToZoteroItem(suggestion, readingListKey)));
+  }
+  
+  if (conversations.length > 0) {
+    const reportKey = addItem(notebookReportToZoteroItem(notebookName, collectionKey));
+    addItem(conversationNoteToZoteroItem(buildConversationNoteHTML(notebookName, conversations), reportKey));
+    
+    Object.entries(buildCitationNotesHTML(notebookName, conversations))
+      .filter(([sourceKey]) => itemKeys[sourceKey])
+      .forEach(([sourceKey, note]) => addItem(citationNoteToZoteroItem(note, itemKeys[sourceKey])));
+  }
+  
+  return { collections: collections, items: items };
+}
+
+// Overviews and the notebook report for the BibTeX and CSL-JSON serializers
+// The report is added when RIS would add one (chats or Studio notes exist)
+function getBibliographyExportOptions() {
+  const conversations = window.notebookConversations || [];
+  const notes = window.notebookNotes || [];
+  const hasReport = conversations.length > 0 || notes.length > 0;
+  
+  return {
+    overviews: getOverviewsToExport(),
+    report: hasReport ? { url: notebookMetadata && notebookMetadata.url, lines: getNotebookDetailLines(notebookMetadata) } : null
+  };
+}
+
 // Handle Export
 async function handleExport() {
   try {
     showState(States.LOADING);
+    await ensureSourceDetails();
+    await ensureStudioNotes();
+    await ensureConversations({ citations: !!getExportFormat().citations });
     
-    // Generate RIS content
-    const risContent = generateRIS(currentSources, notebookName);
+    // Generate file content in the chosen format
+    const format = getExportFormat();
+    const sources = getSourcesToExport();
+    const content = format.generate(sources, notebookName);
     
     // Create filename
-    const filename = sanitizeFilename(notebookName || 'NotebookLM_Export') + '_sources.ris';
+    const filename = sanitizeFilename(notebookName || 'NotebookLM_Export') + `_sources.${format.extension}`;
     
     // Trigger download
-    await downloadFile(risContent, filename);
+    await downloadFile(content, filename, format.mimeType);
     
     // Show success
-    showSuccess(currentSources.length, filename);
+    showSuccess(sources.length, filename);
     
   } catch (error) {
     console.error('Export error:', error);
@@ -214,19 +591,19 @@ async function handleExport() {
 }
 
 // Generate RIS Format
-function generateRIS(sources, notebookName) {
+function generateRIS(sources, notebookName, conversations = window.notebookConversations || [], notes = window.notebookNotes || [], overviews = getOverviewsToExport(), notebook = notebookMetadata) {
   let ris = '';
-  const seenTitles = new Set(); // Track to prevent duplicates
+  const seenSources = new Set(); // Track to prevent duplicates
   let entryCount = 0;
   
   sources.forEach((source, index) => {
     // Skip if we've already added this source (duplicate detection)
-    const normalizedTitle = (source.title || '').trim().toLowerCase();
-    if (!normalizedTitle || seenTitles.has(normalizedTitle)) {
+    const dedupeKey = getSourceDedupeKey(source);
+    if (!dedupeKey || seenSources.has(dedupeKey)) {
       console.log(`Skipping duplicate: ${source.title}`);
       return;
     }
-    seenTitles.add(normalizedTitle);
+    seenSources.add(dedupeKey);
     
     // Determine RIS type based on source type
     let risType = 'GEN'; // Generic default
@@ -247,6 +624,9 @@ function generateRIS(sources, notebookName) {
       case 'drive':
         risType = 'GEN';
         break;
+      case 'text':
+        risType = 'GEN'; // Copied text has no publication type
+        break;
       default:
         risType = 'GEN';
     }
@@ -275,16 +655,34 @@ function generateRIS(sources, notebookName) {
     ris += `PY  - ${year}\n`;
     
     // Abstract/Notes (include source metadata)
-    const notes = `Exported from NotebookLM notebook: ${escapeRIS(notebookName)}. Source type: ${source.type}.`;
-    ris += `AB  - ${notes}\n`;
+    // The NotebookLM source guide summary makes a better abstract when we have it
+    const notes = `Exported from NotebookLM notebook: ${escapeRIS(notebookName)}. Source type: ${escapeRIS(source.type)}.`;
+    if (source.summary) {
+      ris += `AB  - ${escapeRIS(source.summary, RIS_ABSTRACT_MAX_LENGTH)}\n`;
+      ris += `N1  - ${notes}\n`;
+    } else {
+      ris += `AB  - ${notes}\n`;
+    }
+    
+    // Full text of copied text sources
+    if (source.type === 'text' && source.content) {
+      ris += formatRISNote(source.content);
+    }
     
     // Keywords/Tags
     ris += `KW  - NotebookLM\n`;
-    ris += `KW  - ${source.type}\n`;
+    ris += `KW  - ${escapeRIS(source.type)}\n`;
     if (notebookName) {
       ris += `KW  - ${escapeRIS(notebookName)}\n`;
     }
     
+    // Key topics from the source guide
+    if (source.topics && source.topics.length > 0) {
+      source.topics.forEach(topic => {
+        ris += `KW  - ${escapeRIS(topic)}\n`;
+      });
+    }
+    
     // Database/Source field
     ris += `DB  - NotebookLM\n`;
     
@@ -293,52 +691,200 @@ function generateRIS(sources, notebookName) {
     entryCount++;
   });
   
-  // Add Notebook Summary entry with conversations (if available)
-  if (window.notebookConversations && window.notebookConversations.length > 0) {
-    ris += `TY  - RPRT\n`;  // Report type for notebook summary
-    ris += `TI  - NotebookLM Research Notebook: ${notebookName}\n`;
-    ris += `AU  - NotebookLM AI Assistant\n`;
-    ris += `DA  - ${new Date().toISOString().split('T')[0]}\n`;
-    ris += `PY  - ${new Date().getFullYear()}\n`;
-    ris += `KW  - NotebookLM\n`;
-    ris += `KW  - Research Context\n`;
+  // Audio/Video Overviews as recordings
+  overviews.forEach(overview => {
+    ris += buildOverviewRIS(overview, notebookName);
+    entryCount++;
+  });
+  
+  // Add Notebook Summary entry with conversations and Studio notes (if available)
+  const reportRIS = buildNotebookReportRIS(notebookName, conversations, notes, notebook);
+  if (reportRIS) {
+    ris += reportRIS;
+    entryCount++;
+  }
+  
+  console.log(`Generated RIS with ${entryCount} unique entries (filtered ${sources.length + overviews.length - entryCount} duplicates)`);
+  return ris;
+}
+
+// Labels for Studio note kinds
+const NOTE_KIND_LABELS = {
+  note: 'Saved note',
+  briefing: 'Briefing doc',
+  'study-guide': 'Study guide',
+  faq: 'FAQ',
+  timeline: 'Timeline'
+};
+
+// Labels and RIS types for Audio/Video Overviews
+const OVERVIEW_KINDS = {
+  audio: { label: 'Audio Overview', risType: 'SOUND', itemType: 'audioRecording' },
+  video: { label: 'Video Overview', risType: 'VIDEO', itemType: 'videoRecording' }
+};
+
+// Format an overview length in seconds as "m:ss" or "h:mm:ss"
+function formatDuration(seconds) {
+  if (!seconds) return '';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Build the RIS entry for one Audio or Video Overview
+function buildOverviewRIS(overview, notebookName) {
+  const kind = OVERVIEW_KINDS[overview.kind] || OVERVIEW_KINDS.audio;
+  const generated = overview.date ? new Date(overview.date) : null;
+  const hasDate = generated && !isNaN(generated.getTime());
+  
+  let ris = '';
+  ris += `TY  - ${kind.risType}\n`;
+  ris += `TI  - ${escapeRIS(overview.title)}\n`;
+  ris += `T2  - ${escapeRIS(overview.notebookName || notebookName)}\n`; // Notebook as series
+  ris += `PB  - NotebookLM\n`;
+  if (hasDate) {
+    ris += `DA  - ${generated.toISOString().split('T')[0]}\n`;
+    ris += `PY  - ${generated.getFullYear()}\n`;
+  }
+  if (overview.notebookUrl) {
+    ris += `UR  - ${overview.notebookUrl}\n`;
+  }
+  if (overview.duration) {
+    ris += `N1  - Length: ${formatDuration(overview.duration)}\n`;
+  }
+  if (overview.date && !hasDate) {
+    ris += `N1  - Generated: ${escapeRIS(overview.date)}\n`;
+  }
+  ris += `KW  - NotebookLM\n`;
+  ris += `KW  - ${kind.label}\n`;
+  if (notebookName) {
+    ris += `KW  - ${escapeRIS(notebookName)}\n`;
+  }
+  ris += `DB  - NotebookLM\n`;
+  ris += `ER  - \n\n`;
+  return ris;
+}
+
+// Notebook details captured by the content script, as "Label: value" lines
+// for the summary report
+function getNotebookDetailLines(notebook) {
+  if (!notebook) return [];
+  
+  const lines = [];
+  if (notebook.emoji) lines.push(`Emoji: ${notebook.emoji}`);
+  if (notebook.description) lines.push(`Description: ${notebook.description}`);
+  if (notebook.id) lines.push(`Notebook ID: ${notebook.id}`);
+  if (notebook.url) lines.push(`Link: ${notebook.url}`);
+  if (notebook.created) lines.push(`Created: ${notebook.created}`);
+  if (notebook.modified) lines.push(`Last modified: ${notebook.modified}`);
+  
+  const counts = Object.entries(notebook.sourceCounts || {})
+    .map(([type, count]) => `${type}: ${count}`)
+    .join(', ');
+  lines.push(`Sources: ${notebook.sourceCount}` + (counts ? ` (${counts})` : ''));
+  
+  return lines;
+}
+
+// Build the "NotebookLM Research Notebook" report entry shared by both RIS exporters
+// Returns an empty string when there is nothing to report
+function buildNotebookReportRIS(notebookName, conversations, notes, notebook = notebookMetadata) {
+  if (conversations.length === 0 && notes.length === 0) {
+    return '';
+  }
+  
+  let ris = '';
+  ris += `TY  - RPRT\n`;  // Report type for notebook summary
+  ris += `TI  - NotebookLM Research Notebook: ${notebookName}\n`;
+  ris += `AU  - NotebookLM AI Assistant\n`;
+  ris += `DA  - ${new Date().toISOString().split('T')[0]}\n`;
+  ris += `PY  - ${new Date().getFullYear()}\n`;
+  ris += `KW  - NotebookLM\n`;
+  ris += `KW  - Research Context\n`;
+  if (conversations.length > 0) {
     ris += `KW  - AI Conversations\n`;
-    ris += `AB  - This entry contains the research conversation history from NotebookLM for the notebook "${notebookName}". It includes all questions asked and AI responses generated during the research process.\n`;
-    
-    // Add all conversations as notes
+  }
+  if (notes.length > 0) {
+    ris += `KW  - NotebookLM Studio\n`;
+  }
+  
+  // Describe only what this entry actually carries
+  const contents = [];
+  if (conversations.length > 0) contents.push('the research conversation history');
+  if (notes.length > 0) contents.push('saved Studio notes');
+  let abstract = `This entry contains ${contents.join(' and ')} from NotebookLM for the notebook "${notebookName}".`;
+  if (conversations.length > 0) {
+    abstract += ' It includes all questions asked and AI responses generated during the research process.';
+  }
+  ris += `AB  - ${escapeRIS(abstract, RIS_ABSTRACT_MAX_LENGTH)}\n`;
+  
+  // Deep link back to the notebook, and what NotebookLM knows about it
+  if (notebook && notebook.url) {
+    ris += `UR  - ${notebook.url}\n`;
+  }
+  const detailLines = getNotebookDetailLines(notebook);
+  if (detailLines.length > 0) {
+    ris += `N1  - === NOTEBOOK DETAILS ===\n`;
+    detailLines.forEach(line => {
+      ris += `N1  - ${escapeRIS(line)}\n`;
+    });
+  }
+  
+  // Add all conversations as notes
+  if (conversations.length > 0) {
     ris += `N1  - === NotebookLM RESEARCH CONVERSATIONS ===\n`;
     ris += `N1  - Notebook: ${notebookName}\n`;
     ris += `N1  - Date: ${new Date().toLocaleDateString()}\n`;
-    ris += `N1  - Total Messages: ${window.notebookConversations.length}\n`;
+    ris += `N1  - Total Messages: ${conversations.length}\n`;
     ris += `N1  - .\n`;
     
     let questionNum = 0;
     let responseNum = 0;
+    let currentSession = null;
     
-    window.notebookConversations.forEach((conv) => {
+    conversations.forEach((conv) => {
+      // Notebooks with several chat threads get a header per thread
+      if (conv.session && conv.session !== currentSession) {
+        currentSession = conv.session;
+        ris += `N1  - .\n`;
+        ris += `N1  - === CHAT: ${currentSession} ===\n`;
+      }
+      
+      // Formatted messages keep their lists, headings and tables as separate lines
+      const text = conv.html ? htmlToPlainText(conv.html) : conv.content;
+      const sent = conv.timestamp ? ` (${formatTimestamp(conv.timestamp)})` : '';
       if (conv.role === 'user') {
         questionNum++;
         ris += `N1  - .\n`;
-        ris += `N1  - [QUESTION ${questionNum}]: ${conv.content}\n`;
+        ris += formatRISNote(`[QUESTION ${questionNum}]${sent}: ${text}`);
       } else {
         responseNum++;
         ris += `N1  - .\n`;
-        ris += `N1  - [AI RESPONSE ${responseNum}]: ${conv.content}\n`;
+        ris += formatRISNote(`[AI RESPONSE ${responseNum}]${sent}: ${text}`);
       }
     });
     
     ris += `N1  - .\n`;
     ris += `N1  - === END OF CONVERSATIONS ===\n`;
-    ris += `ER  -\n\n`;
-    entryCount++;
   }
   
-  console.log(`Generated RIS with ${entryCount} unique entries (filtered ${sources.length - entryCount} duplicates)`);
+  // Each Studio note or generated document becomes its own N1 block
+  notes.forEach(note => {
+    const kindLabel = NOTE_KIND_LABELS[note.kind] || NOTE_KIND_LABELS.note;
+    const body = note.html ? htmlToPlainText(note.html) : (note.text || '');
+    ris += formatRISNote(`[${kindLabel.toUpperCase()}]: ${note.title}\n${body}`);
+  });
+  
+  ris += `ER  -\n\n`;
   return ris;
 }
 
+// Longest abstract kept in an AB field
+const RIS_ABSTRACT_MAX_LENGTH = 4000;
+
 // Escape special characters for RIS
-function escapeRIS(text) {
+function escapeRIS(text, maxLength = 500) {
   if (!text) return '';
   // RIS format requirements:
   // - Remove or escape line breaks
@@ -351,7 +897,7 @@ function escapeRIS(text) {
     .replace(/\t/g, ' ')
     .replace(/\s+/g, ' ')
     .trim()
-    .substring(0, 500); // Limit length to prevent issues
+    .substring(0, maxLength); // Limit length to prevent issues
 }
 
 // Sanitize filename
@@ -364,10 +910,10 @@ function sanitizeFilename(name) {
 }
 
 // Download File
-function downloadFile(content, filename) {
+// Defaults to the RIS MIME type
+function downloadFile(content, filename, mimeType = 'application/x-research-info-systems;charset=utf-8') {
   return new Promise((resolve, reject) => {
-    // Use proper MIME type for RIS files
-    const blob = new Blob([content], { type: 'application/x-research-info-systems;charset=utf-8' });
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     
     chrome.downloads.download({
@@ -388,12 +934,18 @@ function downloadFile(content, filename) {
 
 // Show State
 function showState(state) {
-  const states = ['loading', 'ready', 'success', 'error'];
+  currentState = state;
+  const states = ['loading', 'ready', 'success', 'error', 'batch', 'layout'];
   states.forEach(s => {
     document.getElementById(s).style.display = s === state ? 'block' : 'none';
   });
 }
 
+// Update the loading message
+function setLoadingText(text) {
+  document.getElementById('loadingText').textContent = text;
+}
+
 // Show Success
 function showSuccess(count, filename) {
   const message = `Successfully exported ${count} source${count !== 1 ? 's' : ''} to ${filename}`;
@@ -407,36 +959,586 @@ function showError(message) {
   showState(States.ERROR);
 }
 
+// Show the selector profile scores when no known layout matched
+function showLayoutNotRecognised(layout) {
+  const report = document.getElementById('layoutReport');
+  report.innerHTML = '';
+  
+  layout.results.forEach(result => {
+    const missing = result.checks.filter(check => !check.found).map(check => check.name);
+    const item = document.createElement('li');
+    item.textContent = `${result.id} v${result.version}: ${Math.round(result.score * 100)}% match` +
+      (missing.length > 0 ? ` (missing ${missing.join(', ')})` : '');
+    report.appendChild(item);
+  });
+  
+  showState(States.LAYOUT);
+}
+
 // Reset to Ready State
 function resetToReady() {
   initializePopup();
 }
 
+// ============================================
+// FORMATTED BIBLIOGRAPHY
+// ============================================
+
+// Bibliography in the chosen style
+function getCurrentBibliography() {
+  return renderBibliography(withEnrichmentResults(getSourcesToExport()), document.getElementById('bibliographyStyle').value);
+}
+
+// Re-render the preview while the panel is open
+function updateBibliographyPreview() {
+  const panel = document.getElementById('bibliographyPanel');
+  if (!panel || !panel.open) return;
+  
+  const bibliography = getCurrentBibliography();
+  document.getElementById('bibliographyHint').textContent = hasEnrichedSources()
+    ? 'Using the metadata from your last Enriched Export.'
+    : 'Titles and links only. Run an Enriched Export first to add authors, dates and journals.';
+  
+  // Entries are escaped by bibliographyToHTML
+  document.getElementById('bibliographyPreview').innerHTML = bibliographyToHTML(bibliography);
+  
+  document.querySelectorAll('.bibliography-actions button').forEach(button => {
+    button.disabled = bibliography.entries.length === 0;
+  });
+}
+
+// Copy as rich text (HTML with a plain-text fallback) or as plain text
+async function copyBibliography(button, rich) {
+  const bibliography = getCurrentBibliography();
+  const text = bibliographyToText(bibliography);
+  const label = button.textContent;
+  
+  try {
+    if (rich) {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/html': new Blob([bibliographyToHTML(bibliography)], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+    button.textContent = 'Copied!';
+  } catch (error) {
+    console.error('[Bibliography] Copy failed:', error);
+    button.textContent = 'Copy failed';
+  }
+  
+  setTimeout(() => {
+    button.textContent = label;
+  }, 1500);
+}
+
+// Download as an HTML document or Markdown file
+async function downloadBibliography(format) {
+  try {
+    const bibliography = getCurrentBibliography();
+    const styleId = document.getElementById('bibliographyStyle').value;
+    const baseName = `${sanitizeFilename(notebookName || 'NotebookLM_Export')}_${styleId}_bibliography`;
+    
+    if (format === 'html') {
+      await downloadFile(bibliographyToHTMLDocument(bibliography, notebookName), `${baseName}.html`, 'text/html;charset=utf-8');
+      showSuccess(bibliography.entries.length, `${baseName}.html`);
+    } else {
+      await downloadFile(bibliographyToMarkdown(bibliography), `${baseName}.md`, 'text/markdown;charset=utf-8');
+      showSuccess(bibliography.entries.length, `${baseName}.md`);
+    }
+  } catch (error) {
+    console.error('[Bibliography] Download failed:', error);
+    showError('Failed to download the bibliography. Please try again.');
+  }
+}
+
+// ============================================
+// LIVE SOURCE TRACKING
+// ============================================
+
+// Read the content script's live model (null when a full extraction is needed)
+async function requestLiveSnapshot(tabId) {
+  try {
+    const snapshot = await chrome.tabs.sendMessage(tabId, { action: 'getSnapshot' });
+    return snapshot && snapshot.ready ? snapshot : null;
+  } catch (error) {
+    return null; // Content script not loaded yet
+  }
+}
+
+// Follow source changes in NotebookLM while the popup is open
+function subscribeToLiveUpdates(tabId) {
+  if (livePort) {
+    livePort.disconnect();
+  }
+  
+  livePort = chrome.tabs.connect(tabId, { name: 'liveSources' });
+  livePort.onMessage.addListener((message) => {
+    if (message.action === 'snapshot') {
+      applyLiveSnapshot(message.snapshot);
+    }
+  });
+  livePort.onDisconnect.addListener(() => {
+    livePort = null;
+  });
+}
+
+// Show sources added, removed or (de)selected in NotebookLM
+function applyLiveSnapshot(snapshot) {
+  // Never change the source list under a running export
+  if (currentState !== States.READY) return;
+  
+  currentSources = snapshot.sources;
+  notebookMetadata = snapshot.notebook || notebookMetadata;
+  studioNoteCount = snapshot.studioNotes.length;
+  studioOverviews = snapshot.studioOverviews || [];
+  updateOverviewsOption(studioOverviews);
+  discoverSuggestions = snapshot.discoverSuggestions || [];
+  updateDiscoverOption(discoverSuggestions);
+  if (snapshot.conversationsStale) {
+    conversationsStale = true;
+  }
+  
+  updateSelectedOnlyOption(currentSources);
+  updateNotebookInfo(notebookName, getSourcesToExport());
+  updateCaptureNotice(snapshot.expectedCount, snapshot.capturedCount);
+  updateBibliographyPreview();
+  
+  updateExportButtons(currentSources.length > 0);
+}
+
+// Read the chat for an export, unless the copy we have is still current
+// citations: the export links citations to sources, which means hovering every chip
+async function ensureConversations({ citations = false } = {}) {
+  if (!activeTabId || (!conversationsStale && (conversationCitations || !citations))) {
+    return;
+  }
+  
+  showState(States.LOADING);
+  setLoadingText(citations ? 'Reading chat history and citations...' : 'Reading chat history...');
+  
+  try {
+    const result = await chrome.tabs.sendMessage(activeTabId, { action: 'extractConversations', citations: citations });
+    if (result && !result.error) {
+      window.notebookConversations = result.conversations;
+      conversationsStale = false;
+      conversationCitations = citations;
+      console.log(`Captured ${result.conversations.length} conversation messages from NotebookLM`);
+    }
+  } catch (error) {
+    console.warn('Could not refresh conversations:', error);
+  }
+}
+
+// ============================================
+// BATCH EXPORT
+// ============================================
+
+// Batch extraction limits and the size of the window notebooks are read in
+const BATCH_TAB_LOAD_TIMEOUT = 30000;
+const BATCH_EXTRACT_ATTEMPTS = 10;
+const BATCH_RETRY_DELAY = 1500;
+const BATCH_WINDOW_WIDTH = 900;
+const BATCH_WINDOW_HEIGHT = 700;
+
+// Notebooks listed on the NotebookLM home page
+let homeNotebooks = [];
+
+// List the home page notebooks and show the batch export state
+async function initializeBatchMode(tabId) {
+  setLoadingText('Listing notebooks...');
+  
+  let result;
+  try {
+    result = await chrome.tabs.sendMessage(tabId, { action: 'listNotebooks' });
+  } catch (error) {
+    // Content script not loaded yet - inject it
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['content/dom-walker.js', 'content/selector-profiles.js', 'content/content.js']
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    result = await chrome.tabs.sendMessage(tabId, { action: 'listNotebooks' });
+  }
+  
+  homeNotebooks = (result && result.notebooks) || [];
+  if (homeNotebooks.length === 0) {
+    showError('Please open a NotebookLM notebook, or the NotebookLM home page with your notebooks listed.');
+    return;
+  }
+  
+  renderNotebookList(homeNotebooks);
+  document.getElementById('batchSelectAll').checked = false;
+  setBatchStatus('');
+  updateBatchButtons();
+  showState(States.BATCH);
+}
+
+// Render one checkbox per notebook
+function renderNotebookList(notebooks) {
+  const list = document.getElementById('notebookList');
+  list.innerHTML = '';
+  
+  notebooks.forEach((notebook, index) => {
+    const label = document.createElement('label');
+    label.className = 'export-option';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.index = index;
+    checkbox.addEventListener('change', updateBatchButtons);
+    
+    const title = document.createElement('span');
+    title.textContent = notebook.title;
+    
+    label.append(checkbox, title);
+    
+    if (notebook.sourceCount !== null) {
+      const count = document.createElement('span');
+      count.className = 'source-count';
+      count.textContent = notebook.sourceCount;
+      label.appendChild(count);
+    }
+    
+    list.appendChild(label);
+  });
+}
+
+// Notebooks ticked in the batch list
+function getSelectedNotebooks() {
+  return Array.from(document.querySelectorAll('#notebookList input[type="checkbox"]:checked'))
+    .map(checkbox => homeNotebooks[checkbox.dataset.index]);
+}
+
+// Enable batch buttons once a notebook is ticked (Zotero also needs the API configured)
+async function updateBatchButtons() {
+  const hasSelection = getSelectedNotebooks().length > 0;
+  document.getElementById('batchRisBtn').disabled = !hasSelection;
+  document.getElementById('batchZoteroBtn').disabled = !hasSelection || !(await checkZoteroConfig());
+}
+
+// Show batch progress below the notebook list
+function setBatchStatus(text) {
+  const status = document.getElementById('batchStatus');
+  status.textContent = text;
+  status.style.display = text ? 'block' : 'none';
+}
+
+// Disable batch controls while an export runs
+function setBatchBusy(busy) {
+  document.querySelectorAll('#batch input, #batch button').forEach(element => {
+    element.disabled = busy;
+  });
+  if (!busy) updateBatchButtons();
+}
+
+// Wait until a tab has finished loading
+function waitForTabComplete(tabId) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Notebook took too long to load'));
+    }, BATCH_TAB_LOAD_TIMEOUT);
+    
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timeout);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Open a notebook in its own unfocused window, extract its sources and close it
+// Background tabs are hidden, so Chrome throttles their timers and skips
+// rendering - the source list then never loads its rows. The notebook is the
+// active tab of its window instead, which also keeps this popup open.
+// citations: also resolve the sources cited in the chat
+async function extractNotebookInBackground(notebook, { citations = false } = {}) {
+  const notebookWindow = await chrome.windows.create({
+    url: notebook.url,
+    focused: false,
+    width: BATCH_WINDOW_WIDTH,
+    height: BATCH_WINDOW_HEIGHT
+  });
+  const tab = notebookWindow.tabs[0];
+  
+  try {
+    await waitForTabComplete(tab.id);
+    
+    // NotebookLM renders the source list after the page loads - retry until it appears
+    let lastError = null;
+    for (let attempt = 0; attempt < BATCH_EXTRACT_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, BATCH_RETRY_DELAY));
+      
+      let result;
+      try {
+        result = await chrome.tabs.sendMessage(tab.id, { action: 'extractSources' });
+      } catch (error) {
+        continue; // Content script not ready yet
+      }
+      
+      if (result && result.sources && result.sources.length > 0) {
+        // The chat is only read for exports - it scrolls and switches threads
+        const chat = await chrome.tabs.sendMessage(tab.id, { action: 'extractConversations', citations: citations }).catch(() => null);
+        result.conversations = (chat && chat.conversations) || [];
+        return result;
+      }
+      lastError = result && result.error;
+    }
+    
+    throw new Error(lastError || 'No sources found');
+  } finally {
+    chrome.windows.remove(notebookWindow.id).catch(() => {});
+  }
+}
+
+// Export each ticked notebook to its own RIS file, downloaded together as a zip
+async function handleBatchRISExport() {
+  const notebooks = getSelectedNotebooks();
+  const files = [];
+  const usedNames = new Set();
+  const failed = [];
+  let sourceCount = 0;
+  
+  setBatchBusy(true);
+  
+  for (let i = 0; i < notebooks.length; i++) {
+    const notebook = notebooks[i];
+    setBatchStatus(`Reading notebook ${i + 1}/${notebooks.length}: ${notebook.title}`);
+    
+    try {
+      const result = await extractNotebookInBackground(notebook);
+      const name = notebook.title || result.notebookName;
+      
+      // Keep file names unique when notebooks share a title
+      const baseName = sanitizeFilename(name) || 'NotebookLM_Export';
+      let filename = `${baseName}.ris`;
+      for (let n = 2; usedNames.has(filename); n++) {
+        filename = `${baseName}_${n}.ris`;
+      }
+      usedNames.add(filename);
+      
+      files.push({
+        name: filename,
+        content: generateRIS(
+          result.sources,
+          name,
+          result.conversations || [],
+          [],
+          getOverviewsToExport(result.studioOverviews || [], 'batchOverviewsToggle'),
+          result.notebook || null
+        )
+      });
+      sourceCount += result.sources.length;
+    } catch (error) {
+      console.error(`[Batch] Failed to export ${notebook.title}:`, error);
+      failed.push(notebook.title);
+    }
+  }
+  
+  setBatchBusy(false);
+  
+  if (files.length === 0) {
+    setBatchStatus('None of the selected notebooks could be read. Try opening them once in NotebookLM and retry.');
+    return;
+  }
+  
+  try {
+    const filename = `NotebookLM_${files.length}_notebooks.zip`;
+    await downloadFile(createZip(files), filename, 'application/zip');
+    
+    showSuccess(sourceCount, filename);
+    if (failed.length > 0) {
+      document.getElementById('successMessage').textContent +=
+        `. Could not read: ${failed.join(', ')}`;
+    }
+  } catch (error) {
+    console.error('[Batch] Download error:', error);
+    showError('Failed to download the exported notebooks. Please try again.');
+  }
+}
+
+// Export each ticked notebook into its own Zotero collection
+async function handleBatchZoteroExport() {
+  const notebooks = getSelectedNotebooks();
+  const totals = { created: 0, skipped: 0, failed: 0 };
+  const failedNotebooks = [];
+  
+  const config = await chrome.storage.local.get([
+    'zoteroApiKey',
+    'zoteroLibraryType',
+    'zoteroUserId',
+    'zoteroGroupId',
+    'zoteroAutoCreateCollections'
+  ]);
+  const libraryType = config.zoteroLibraryType || 'user';
+  const libraryId = libraryType === 'user' ? config.zoteroUserId : config.zoteroGroupId;
+  
+  setBatchBusy(true);
+  
+  for (let i = 0; i < notebooks.length; i++) {
+    const notebook = notebooks[i];
+    const prefix = `Notebook ${i + 1}/${notebooks.length}: ${notebook.title}`;
+    setBatchStatus(`${prefix} - reading sources...`);
+    
+    try {
+      const result = await extractNotebookInBackground(notebook, { citations: true });
+      const name = notebook.title || result.notebookName;
+      
+      let collectionKey = null;
+      if (config.zoteroAutoCreateCollections !== false) {
+        collectionKey = await findOrCreateCollection(name, config.zoteroApiKey, libraryType, libraryId);
+      }
+      
+      const results = await exportSourcesToZotero(result.sources, config, libraryId, libraryType, collectionKey, (progress) => {
+        setBatchStatus(`${prefix} - exporting ${progress}/${result.sources.length}`);
+      });
+      
+      const conversations = result.conversations || [];
+      if (conversations.length > 0) {
+        try {
+          await addConversationsToZotero(name, conversations, config, libraryId, libraryType, collectionKey, results.itemKeys, result.notebook || null);
+          results.created++;
+        } catch (convError) {
+          console.error(`[Batch] Failed to add conversations for ${name}:`, convError);
+        }
+      }
+      
+      const overviews = getOverviewsToExport(result.studioOverviews || [], 'batchOverviewsToggle');
+      if (overviews.length > 0) {
+        try {
+          results.created += await addOverviewsToZotero(overviews, config, libraryId, libraryType, collectionKey);
+        } catch (overviewError) {
+          console.error(`[Batch] Failed to add overviews for ${name}:`, overviewError);
+        }
+      }
+      
+      totals.created += results.created;
+      totals.skipped += results.skipped;
+      totals.failed += results.failed;
+    } catch (error) {
+      console.error(`[Batch] Failed to export ${notebook.title}:`, error);
+      failedNotebooks.push(notebook.title);
+    }
+  }
+  
+  setBatchBusy(false);
+  
+  let summary = `Exported ${notebooks.length - failedNotebooks.length} of ${notebooks.length} notebooks to Zotero: ` +
+    `${totals.created} created, ${totals.skipped} skipped, ${totals.failed} failed.`;
+  if (failedNotebooks.length > 0) {
+    summary += ` Could not read: ${failedNotebooks.join(', ')}`;
+  }
+  setBatchStatus(summary);
+}
+
+// ============================================
+// SOURCE DETAILS
+// ============================================
+
+// Open each source in NotebookLM to read details the source list hides
+// (the original link, source guide summary and key topics).
+// Only sources about to be exported and not read yet are opened.
+async function ensureSourceDetails() {
+  if (!activeTabId) {
+    return;
+  }
+  
+  // Copied text only exists inside NotebookLM, so it is read even when the toggle is off
+  const toggle = document.getElementById('readDetailsToggle');
+  const readAll = toggle && toggle.checked;
+  const pending = getSourcesToExport()
+    .filter(source => !source.detailsRead && (readAll || source.type === 'text'));
+  if (pending.length === 0) {
+    return;
+  }
+  
+  const onProgress = (message) => {
+    if (message.action === 'sourceDetailsProgress') {
+      setLoadingText(`Reading source details ${message.current}/${message.total}...`);
+    }
+  };
+  
+  showState(States.LOADING);
+  setLoadingText('Reading source details...');
+  chrome.runtime.onMessage.addListener(onProgress);
+  
+  try {
+    const result = await chrome.tabs.sendMessage(activeTabId, {
+      action: 'readSourceDetails',
+      sources: pending
+    });
+    
+    if (result && result.sources) {
+      const updatedByKey = new Map(result.sources.map(source => [source.key, source]));
+      currentSources = currentSources.map(source => updatedByKey.get(source.key) || source);
+      console.log(`[Source Details] Resolved links for ${result.resolved} sources, summaries for ${result.summarized}`);
+    }
+  } catch (error) {
+    // Not fatal - export continues with what the source list provided
+    console.warn('[Source Details] Could not read source details:', error);
+  } finally {
+    chrome.runtime.onMessage.removeListener(onProgress);
+  }
+}
+
+// Open each Studio note in NotebookLM to capture its formatted content
+// Runs once per popup session, only when the notebook has notes
+async function ensureStudioNotes() {
+  if (studioNoteCount === 0 || window.notebookNotes || !activeTabId) {
+    return;
+  }
+  
+  const onProgress = (message) => {
+    if (message.action === 'studioNotesProgress') {
+      setLoadingText(`Reading Studio notes ${message.current}/${message.total}...`);
+    }
+  };
+  
+  showState(States.LOADING);
+  setLoadingText('Reading Studio notes...');
+  chrome.runtime.onMessage.addListener(onProgress);
+  
+  try {
+    const result = await chrome.tabs.sendMessage(activeTabId, { action: 'extractStudioNotes' });
+    window.notebookNotes = result?.notes || [];
+    console.log(`[Studio] Captured ${window.notebookNotes.length} notes`);
+  } catch (error) {
+    console.warn('[Studio] Could not read Studio notes:', error);
+  } finally {
+    chrome.runtime.onMessage.removeListener(onProgress);
+  }
+}
+
 // ============================================
 // ENRICHMENT FUNCTIONALITY
 // ============================================
 
 // Handle Enrichment Export Button
 async function handleEnrichmentExport() {
-  console.log('[Enrichment] Button clicked');
-  console.log('[Enrichment] currentSources:', currentSources);
-  console.log('[Enrichment] notebookName:', notebookName);
-  
   try {
     const btn = document.getElementById('enrichExportBtn');
     btn.disabled = true;
     btn.querySelector('.button-text').textContent = 'Starting enrichment...';
     
     // Use already-extracted sources
-    if (!currentSources || currentSources.length === 0) {
-      console.error('[Enrichment] No sources available');
+    if (getSourcesToExport().length === 0) {
       throw new Error('No sources available. Please refresh the page and try again.');
     }
     
-    console.log(`[Enrichment] Starting enrichment for ${currentSources.length} sources`);
+    await ensureSourceDetails();
+    await ensureStudioNotes();
+    await ensureConversations({ citations: !!getExportFormat().citations });
+    
+    const sources = getSourcesToExport();
+    console.log(`[Enrichment] Starting enrichment for ${sources.length} sources`);
     
     // Show enrichment modal
-    showEnrichmentModal(currentSources, notebookName);
+    showEnrichmentModal(sources, notebookName);
     
   } catch (error) {
     console.error('[Enrichment] Error:', error);
@@ -459,7 +1561,7 @@ async function handleZoteroExport() {
     btn.querySelector('.button-text').textContent = 'Connecting to Zotero...';
     
     // Check if we have sources
-    if (!currentSources || currentSources.length === 0) {
+    if (getSourcesToExport().length === 0) {
       throw new Error('No sources available. Please refresh the page and try again.');
     }
     
@@ -480,13 +1582,18 @@ async function handleZoteroExport() {
       throw new Error('Library ID not configured. Please go to Settings.');
     }
     
-    console.log(`[Zotero] Starting export for ${currentSources.length} sources`);
+    await ensureSourceDetails();
+    await ensureStudioNotes();
+    await ensureConversations({ citations: true });
+    
+    const sources = getSourcesToExport();
+    console.log(`[Zotero] Starting export for ${sources.length} sources`);
     
     // Get conversations if available
     const conversations = window.notebookConversations || [];
     
     // Show Zotero modal and start export
-    await showZoteroModal(currentSources, notebookName, conversations);
+    await showZoteroModal(sources, notebookName, conversations);
     
   } catch (error) {
     console.error('[Zotero] Error:', error);
@@ -505,23 +1612,20 @@ async function showZoteroModal(sources, notebookName, conversations) {
   const stepConfig = document.getElementById('stepConfig');
   const stepCollection = document.getElementById('stepCollection');
   const stepProcessing = document.getElementById('stepProcessing');
+  const stepNotes = document.getElementById('stepNotes');
+  const stepOverviews = document.getElementById('stepOverviews');
+  const stepDiscover = document.getElementById('stepDiscover');
   const stepConversations = document.getElementById('stepConversations');
   
-  console.log('[Zotero Modal] Starting modal display');
-  console.log('[Zotero Modal] Modal element:', modal);
-  console.log('[Zotero Modal] Step elements:', {stepConfig, stepCollection, stepProcessing, stepConversations});
-  
   if (!modal) {
-    console.error('[Zotero Modal] Modal element not found!');
     throw new Error('Zotero modal not found in page. Please refresh and try again.');
   }
   
   // Show modal
   modal.style.display = 'flex';
-  console.log('[Zotero Modal] Modal displayed');  modal.style.display = 'flex';
   
   // Reset progress steps
-  [stepConfig, stepCollection, stepProcessing, stepConversations].forEach(step => {
+  [stepConfig, stepCollection, stepProcessing, stepNotes, stepOverviews, stepDiscover, stepConversations].forEach(step => {
     step.classList.remove('active', 'complete', 'error');
   });
   
@@ -573,13 +1677,89 @@ async function showZoteroModal(sources, notebookName, conversations) {
     stepProcessing.querySelector('.step-status').textContent = 'Done';
     stepProcessing.querySelector('.step-text').textContent = 'Processing sources...';
     
-    // Step 4: Add conversations
+    // Step 4: Add Studio notes
+    const notes = window.notebookNotes || [];
+    if (notes.length > 0) {
+      stepNotes.classList.add('active');
+      stepNotes.querySelector('.step-status').textContent = 'Adding...';
+      
+      try {
+        const created = await addStudioNotesToZotero(notes, config, libraryId, libraryType, collectionKey);
+        
+        stepNotes.classList.remove('active');
+        stepNotes.classList.add('complete');
+        stepNotes.querySelector('.step-status').textContent = `Added ${created}`;
+        
+        results.created += created;
+      } catch (notesError) {
+        console.error('[Zotero] Failed to add Studio notes:', notesError);
+        stepNotes.classList.remove('active');
+        stepNotes.classList.add('error');
+        stepNotes.querySelector('.step-status').textContent = 'Failed (optional)';
+      }
+    } else {
+      stepNotes.querySelector('.step-status').textContent = 'None';
+      stepNotes.classList.add('complete');
+    }
+    
+    // Step 5: Add Audio/Video Overviews (optional - the toggle can switch it off)
+    const overviews = getOverviewsToExport();
+    if (overviews.length > 0) {
+      stepOverviews.classList.add('active');
+      stepOverviews.querySelector('.step-status').textContent = 'Adding...';
+      
+      try {
+        const created = await addOverviewsToZotero(overviews, config, libraryId, libraryType, collectionKey);
+        
+        stepOverviews.classList.remove('active');
+        stepOverviews.classList.add('complete');
+        stepOverviews.querySelector('.step-status').textContent = `Added ${created}`;
+        
+        results.created += created;
+      } catch (overviewError) {
+        console.error('[Zotero] Failed to add overviews:', overviewError);
+        stepOverviews.classList.remove('active');
+        stepOverviews.classList.add('error');
+        stepOverviews.querySelector('.step-status').textContent = 'Failed (optional)';
+      }
+    } else {
+      stepOverviews.querySelector('.step-status').textContent = studioOverviews.length > 0 ? 'Skipped' : 'None';
+      stepOverviews.classList.add('complete');
+    }
+    
+    // Step 6: Add Discover suggestions as a reading list (optional)
+    const suggestions = getDiscoverSuggestionsToExport();
+    if (suggestions.length > 0) {
+      stepDiscover.classList.add('active');
+      stepDiscover.querySelector('.step-status').textContent = 'Adding...';
+      
+      try {
+        const mode = document.getElementById('discoverMode').value;
+        const created = await addDiscoverSuggestionsToZotero(suggestions, mode, config, libraryId, libraryType, collectionKey);
+        
+        stepDiscover.classList.remove('active');
+        stepDiscover.classList.add('complete');
+        stepDiscover.querySelector('.step-status').textContent = `Added ${created}`;
+        
+        results.created += created;
+      } catch (discoverError) {
+        console.error('[Zotero] Failed to add Discover suggestions:', discoverError);
+        stepDiscover.classList.remove('active');
+        stepDiscover.classList.add('error');
+        stepDiscover.querySelector('.step-status').textContent = 'Failed (optional)';
+      }
+    } else {
+      stepDiscover.querySelector('.step-status').textContent = discoverSuggestions.length > 0 ? 'Skipped' : 'None';
+      stepDiscover.classList.add('complete');
+    }
+    
+    // Step 7: Add conversations
     if (conversations && conversations.length > 0) {
       stepConversations.classList.add('active');
       stepConversations.querySelector('.step-status').textContent = 'Adding...';
       
       try {
-        await addConversationsToZotero(notebookName, conversations, config, libraryId, libraryType, collectionKey);
+        await addConversationsToZotero(notebookName, conversations, config, libraryId, libraryType, collectionKey, results.itemKeys);
         
         stepConversations.classList.remove('active');
         stepConversations.classList.add('complete');
@@ -661,6 +1841,9 @@ async function showEnrichmentModal(sources, notebookName) {
     window.enrichedSources = enrichedSources;
     window.enrichedNotebookName = notebookName;
     
+    // The bibliography keeps using them after the download
+    await saveEnrichedSources(enrichedSources);
+    
   } catch (error) {
     console.error('Enrichment process error:', error);
     progressText.textContent = `Error: ${error.message}`;
@@ -676,20 +1859,22 @@ async function showEnrichmentModal(sources, notebookName) {
   }
 }
 
-// Close modal and download enriched RIS
+// Close modal and download the enriched file
 document.getElementById('closeModal')?.addEventListener('click', async () => {
   try {
     if (!window.enrichedSources) {
       throw new Error('No enriched data available');
     }
     
-    // Generate enriched RIS file
-    const risContent = generateEnrichedRIS(window.enrichedSources, window.enrichedNotebookName);
+    // Generate the enriched file in the chosen format
+    const format = getExportFormat();
+    const generate = format.generateEnriched || format.generate;
+    const content = generate(window.enrichedSources, window.enrichedNotebookName);
     
     // Download file with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-    const filename = `${sanitizeFilename(window.enrichedNotebookName)}_enriched_${timestamp}.ris`;
-    await downloadFile(risContent, filename);
+    const filename = `${sanitizeFilename(window.enrichedNotebookName)}_enriched_${timestamp}.${format.extension}`;
+    await downloadFile(content, filename, format.mimeType);
     
     // Close modal
     document.getElementById('enrichModal').style.display = 'none';
@@ -715,7 +1900,9 @@ function generateEnrichedRIS(sources, notebookName) {
     // Determine RIS type based on enrichment
     let risType = 'JOUR'; // Default to journal article
     
-    if (source.enrichmentType === 'youtube') {
+    if (source.type === 'text') {
+      risType = 'GEN';
+    } else if (source.enrichmentType === 'youtube') {
       risType = 'VIDEO';
     } else if (source.enrichmentType === 'web') {
       risType = 'ELEC';
@@ -778,10 +1965,10 @@ function generateEnrichedRIS(sources, notebookName) {
       ris += `UR  - ${source.url}\n`;
     }
     
-    // Abstract
-    if (source.abstract) {
-      const cleanAbstract = source.abstract.replace(/\n/g, ' ').trim();
-      ris += `AB  - ${cleanAbstract}\n`;
+    // Abstract (fall back to the NotebookLM source guide summary)
+    const abstract = source.abstract || source.summary;
+    if (abstract) {
+      ris += `AB  - ${escapeRIS(abstract, RIS_ABSTRACT_MAX_LENGTH)}\n`;
     }
     
     // Publisher
@@ -815,6 +2002,13 @@ function generateEnrichedRIS(sources, notebookName) {
       });
     }
     
+    // Key topics from the NotebookLM source guide
+    if (source.topics && source.topics.length > 0) {
+      source.topics.forEach(topic => {
+        ris += `KW  - ${escapeRIS(topic)}\n`;
+      });
+    }
+    
     // Date (for web articles, videos)
     if (source.date && !source.year) {
       ris += `DA  - ${source.date}\n`;
@@ -830,49 +2024,28 @@ function generateEnrichedRIS(sources, notebookName) {
       ris += `N1  - arXiv:${source.arxivId}\n`;
     }
     
-    // End entry
-    ris += `ER  -\n\n`;
-  }
-  
-  // Add Notebook Summary entry with conversations (if available)
-  if (window.notebookConversations && window.notebookConversations.length > 0) {
-    ris += `TY  - RPRT\n`;  // Report type for notebook summary
-    ris += `TI  - NotebookLM Research Notebook: ${notebookName}\n`;
-    ris += `AU  - NotebookLM AI Assistant\n`;
-    ris += `DA  - ${new Date().toISOString().split('T')[0]}\n`;
-    ris += `PY  - ${new Date().getFullYear()}\n`;
-    ris += `KW  - NotebookLM\n`;
-    ris += `KW  - Research Context\n`;
-    ris += `KW  - AI Conversations\n`;
-    ris += `AB  - This entry contains the research conversation history from NotebookLM for the notebook "${notebookName}". It includes all questions asked and AI responses generated during the research process.\n`;
-    
-    // Add all conversations as notes
-    ris += `N1  - === NotebookLM RESEARCH CONVERSATIONS ===\n`;
-    ris += `N1  - Notebook: ${notebookName}\n`;
-    ris += `N1  - Date: ${new Date().toLocaleDateString()}\n`;
-    ris += `N1  - Total Messages: ${window.notebookConversations.length}\n`;
-    ris += `N1  - .\n`;
-    
-    let questionNum = 0;
-    let responseNum = 0;
+    // Title and authors guessed from the PDF's first page
+    if (source.pdfTitleBlock) {
+      ris += `N1  - ${escapeRIS(formatPDFTitleBlock(source.pdfTitleBlock))}\n`;
+    }
     
-    window.notebookConversations.forEach((conv) => {
-      if (conv.role === 'user') {
-        questionNum++;
-        ris += `N1  - .\n`;
-        ris += `N1  - [QUESTION ${questionNum}]: ${conv.content}\n`;
-      } else {
-        responseNum++;
-        ris += `N1  - .\n`;
-        ris += `N1  - [AI RESPONSE ${responseNum}]: ${conv.content}\n`;
-      }
-    });
+    // Full text of copied text sources
+    if (source.type === 'text' && source.content) {
+      ris += formatRISNote(source.content);
+    }
     
-    ris += `N1  - .\n`;
-    ris += `N1  - === END OF CONVERSATIONS ===\n`;
+    // End entry
     ris += `ER  -\n\n`;
   }
   
+  // Audio/Video Overviews as recordings
+  getOverviewsToExport().forEach(overview => {
+    ris += buildOverviewRIS(overview, notebookName);
+  });
+  
+  // Add Notebook Summary entry with conversations and Studio notes (if available)
+  ris += buildNotebookReportRIS(notebookName, window.notebookConversations || [], window.notebookNotes || []);
+  
   return ris;
 }
 
@@ -945,11 +2118,50 @@ async function findOrCreateCollection(notebookName, apiKey, libraryType, library
   }
 }
 
+// Subcollection of a notebook collection, e.g. "To read" (created when missing)
+async function findOrCreateSubcollection(name, parentKey, apiKey, libraryType, libraryId) {
+  const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
+  const headers = {
+    'Zotero-API-Key': apiKey,
+    'Zotero-API-Version': '3'
+  };
+  
+  const listResponse = await fetch(`${baseUrl}/collections/${parentKey}/collections`, { headers: headers });
+  if (listResponse.ok) {
+    const existing = (await listResponse.json()).find(c => c.data.name === name);
+    if (existing) {
+      return existing.key;
+    }
+  }
+  
+  const result = await createZoteroCollections([{ name: name, parentCollection: parentKey }], baseUrl, apiKey);
+  return result.successful ? result.successful['0'].key : null;
+}
+
+async function createZoteroCollections(collections, baseUrl, apiKey) {
+  const response = await fetch(`${baseUrl}/collections`, {
+    method: 'POST',
+    headers: {
+      'Zotero-API-Key': apiKey,
+      'Zotero-API-Version': '3',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(collections)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to create collection: ${response.status}`);
+  }
+  
+  return await response.json();
+}
+
 async function exportSourcesToZotero(sources, config, libraryId, libraryType, collectionKey, progressCallback) {
   const results = {
     created: 0,
     skipped: 0,
-    failed: 0
+    failed: 0,
+    itemKeys: {} // source key -> Zotero item key
   };
   
   const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
@@ -1003,6 +2215,27 @@ async function exportSourcesToZotero(sources, config, libraryId, libraryType, co
   // Step 2: Convert and batch export to Zotero
   console.log('[Zotero] Converting enriched sources to Zotero format');
   const itemsToCreate = [];
+  const batchSources = [];
+  
+  // Create the current batch and remember which item key belongs to which source
+  const flushBatch = async () => {
+    const response = await createZoteroItems(itemsToCreate, baseUrl, config.zoteroApiKey);
+    Object.entries(response.successful || {}).forEach(([position, created]) => {
+      const source = batchSources[position];
+      if (source && source.key) {
+        results.itemKeys[source.key] = created.key;
+      }
+    });
+    // Zotero reports each rejected item separately; only count what it created
+    const failed = Object.entries(response.failed || {});
+    failed.forEach(([position, failure]) => {
+      console.error('[Zotero] Item rejected:', batchSources[position] && batchSources[position].title, failure.message);
+    });
+    results.created += Object.keys(response.successful || {}).length;
+    results.failed += failed.length;
+    itemsToCreate.length = 0;
+    batchSources.length = 0;
+  };
   
   for (let i = 0; i < enrichedSources.length; i++) {
     const source = enrichedSources[i];
@@ -1011,12 +2244,11 @@ async function exportSourcesToZotero(sources, config, libraryId, libraryType, co
       // Convert source to Zotero item format
       const item = sourceToZoteroItem(source, collectionKey);
       itemsToCreate.push(item);
+      batchSources.push(source);
       
       // Batch create every 50 items
       if (itemsToCreate.length >= 50) {
-        await createZoteroItems(itemsToCreate, baseUrl, config.zoteroApiKey);
-        results.created += itemsToCreate.length;
-        itemsToCreate.length = 0;
+        await flushBatch();
       }
     } catch (error) {
       console.error('[Zotero] Error processing source:', source.title, error);
@@ -1026,13 +2258,44 @@ async function exportSourcesToZotero(sources, config, libraryId, libraryType, co
   
   // Create remaining items
   if (itemsToCreate.length > 0) {
-    await createZoteroItems(itemsToCreate, baseUrl, config.zoteroApiKey);
-    results.created += itemsToCreate.length;
+    await flushBatch();
+  }
+  
+  // Copied text sources keep their text as a child note
+  try {
+    await addSourceContentNotes(enrichedSources, results.itemKeys, baseUrl, config.zoteroApiKey);
+  } catch (error) {
+    console.error('[Zotero] Failed to add copied text notes:', error);
   }
   
   return results;
 }
 
+// Child note holding the full text of a copied text source
+function sourceContentToZoteroNote(source, parentItem) {
+  return {
+    itemType: 'note',
+    parentItem: parentItem,
+    note: `<h1>${escapeHTML(source.title)}</h1>\n${textToNoteHTML(source.content)}`,
+    tags: [{ tag: 'NotebookLM' }, { tag: 'Copied text' }]
+  };
+}
+
+// Attach the full text of copied text sources to their items
+async function addSourceContentNotes(sources, itemKeys, baseUrl, apiKey) {
+  const notes = sources
+    .filter(source => source.type === 'text' && source.content && itemKeys[source.key])
+    .map(source => sourceContentToZoteroNote(source, itemKeys[source.key]));
+  
+  for (let i = 0; i < notes.length; i += 50) {
+    await createZoteroItems(notes.slice(i, i + 50), baseUrl, apiKey);
+  }
+  
+  if (notes.length > 0) {
+    console.log(`[Zotero] Added text notes to ${notes.length} copied text sources`);
+  }
+}
+
 async function createZoteroItems(items, baseUrl, apiKey) {
   const response = await fetch(`${baseUrl}/items`, {
     method: 'POST',
@@ -1074,33 +2337,73 @@ function sourceToZoteroItem(source, collectionKey) {
   if (source.date || source.year) {
     item.date = source.date || source.year.toString();
   }
-  if (source.abstract) item.abstractNote = source.abstract;
+  if (source.abstract || source.summary) {
+    // Enrichment abstract first, NotebookLM source guide summary as fallback
+    item.abstractNote = source.abstract || source.summary;
+  }
   if (source.journal) item.publicationTitle = source.journal;
   if (source.volume) item.volume = source.volume;
   if (source.issue) item.issue = source.issue;
   if (source.pages) item.pages = source.pages;
   if (source.publisher) item.publisher = source.publisher;
+  if (source.pdfTitleBlock) item.extra = formatPDFTitleBlock(source.pdfTitleBlock);
+  
+  // Key topics from the source guide become tags
+  if (source.topics && source.topics.length > 0) {
+    source.topics.forEach(topic => item.tags.push({ tag: topic }));
+  }
+  
+  return item;
+}
+
+// Zotero item for an enriched source in a file import, where fields Zotero
+// doesn't expect for the type land in Extra instead of failing the request
+function enrichedSourceToZoteroItem(source, collectionKey) {
+  const item = sourceToZoteroItem(source, collectionKey);
+  const itemTypes = {
+    'book': 'book',
+    'article-journal': 'journalArticle',
+    'article': 'preprint',
+    'webpage': 'webpage',
+    'motion_picture': 'videoRecording'
+  };
+  item.itemType = itemTypes[getCSLType(source)] || item.itemType;
+  
+  if (source.isbn) item.ISBN = source.isbn;
+  if (source.issn) item.ISSN = source.issn;
+  if (source.arxivId) item.extra = [`arXiv: ${source.arxivId}`, item.extra].filter(Boolean).join('\n');
+  
+  // Keywords, arXiv categories and YouTube tags, like the enriched RIS
+  const tags = [...(source.keywords || []), ...(source.categories || []), ...(source.tags || []).slice(0, 5)];
+  tags.forEach(tag => {
+    if (!item.tags.some(existing => existing.tag === tag)) item.tags.push({ tag: tag });
+  });
   
   return item;
 }
 
+// One line describing the title/author block read from a PDF's first page
+function formatPDFTitleBlock(block) {
+  const authors = block.authors.length > 0 ? ` by ${block.authors.join(', ')}` : '';
+  return `First page of the PDF reads: ${block.title}${authors}`;
+}
+
 function getZoteroItemType(sourceType) {
   const typeMap = {
     'PDF': 'journalArticle',
     'Web Article': 'webpage',
     'YouTube': 'videoRecording',
     'Google Docs': 'document',
-    'Google Slides': 'presentation'
+    'Google Slides': 'presentation',
+    'text': 'document' // Copied text
   };
   
   return typeMap[sourceType] || 'journalArticle';
 }
 
-async function addConversationsToZotero(notebookName, conversations, config, libraryId, libraryType, collectionKey) {
-  const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
-  
-  // Create notebook summary item
-  const item = {
+// "NotebookLM Research Notebook" report item that holds the conversations
+function notebookReportToZoteroItem(notebookName, collectionKey, notebook = notebookMetadata) {
+  return {
     itemType: 'report',
     title: `NotebookLM Research Notebook: ${notebookName}`,
     creators: [{
@@ -1108,7 +2411,10 @@ async function addConversationsToZotero(notebookName, conversations, config, lib
       name: 'NotebookLM AI Assistant'
     }],
     date: new Date().toISOString().split('T')[0],
-    abstractNote: `This entry contains the research conversation history from NotebookLM for the notebook "${notebookName}".`,
+    abstractNote: `This entry contains the research conversation history from NotebookLM for the notebook "${notebookName}".` +
+      (notebook && notebook.description ? `\n\n${notebook.description}` : ''),
+    url: notebook && notebook.url ? notebook.url : '',
+    extra: getNotebookDetailLines(notebook).join('\n'),
     tags: [
       { tag: 'NotebookLM' },
       { tag: 'Research Context' },
@@ -1116,6 +2422,58 @@ async function addConversationsToZotero(notebookName, conversations, config, lib
     ],
     collections: collectionKey ? [collectionKey] : []
   };
+}
+
+// Conversation transcript as note HTML for the report item
+function buildConversationNoteHTML(notebookName, conversations, notebook = notebookMetadata) {
+  let noteContent = '<h2>NotebookLM Research Conversations</h2>\n';
+  noteContent += `<p><strong>Notebook:</strong> ${escapeHTML(notebookName)}</p>\n`;
+  noteContent += `<p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>\n`;
+  getNotebookDetailLines(notebook).forEach(line => {
+    const [label, ...value] = line.split(': ');
+    noteContent += `<p><strong>${escapeHTML(label)}:</strong> ${escapeHTML(value.join(': '))}</p>\n`;
+  });
+  noteContent += `<p><strong>Total Messages:</strong> ${conversations.length}</p>\n<hr>\n`;
+  
+  let questionNum = 0;
+  let responseNum = 0;
+  let currentSession = null;
+  
+  conversations.forEach(conv => {
+    if (conv.session && conv.session !== currentSession) {
+      currentSession = conv.session;
+      noteContent += `\n<h2>Chat: ${escapeHTML(currentSession)}</h2>\n`;
+    }
+    
+    if (conv.role === 'user') {
+      questionNum++;
+      noteContent += `\n<h3>Question ${questionNum}</h3>\n`;
+    } else {
+      responseNum++;
+      noteContent += `\n<h3>AI Response ${responseNum}</h3>\n`;
+    }
+    if (conv.timestamp) {
+      noteContent += `<p><em>${escapeHTML(formatTimestamp(conv.timestamp))}</em></p>\n`;
+    }
+    noteContent += `${formatMessageHTML(conv)}\n`;
+  });
+  
+  return noteContent;
+}
+
+// Child note on the report item with the transcript
+function conversationNoteToZoteroItem(note, parentItem) {
+  return {
+    itemType: 'note',
+    parentItem: parentItem,
+    note: note,
+    tags: [{ tag: 'NotebookLM Conversations' }]
+  };
+}
+
+async function addConversationsToZotero(notebookName, conversations, config, libraryId, libraryType, collectionKey, itemKeys = {}, notebook = notebookMetadata) {
+  const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
+  const item = notebookReportToZoteroItem(notebookName, collectionKey, notebook);
   
   // Create the item first
   const createResponse = await fetch(`${baseUrl}/items`, {
@@ -1135,7 +2493,6 @@ async function addConversationsToZotero(notebookName, conversations, config, lib
   }
   
   const result = await createResponse.json();
-  console.log('[Zotero] Create response:', result);
   
   // Zotero API returns: { successful: { "0": { key: "ABC123", ... } }, failed: {} }
   let itemKey = null;
@@ -1156,25 +2513,7 @@ async function addConversationsToZotero(notebookName, conversations, config, lib
   console.log('[Zotero] Created item with key:', itemKey);
   
   // Now add conversations as notes
-  let noteContent = '<h2>NotebookLM Research Conversations</h2>\n';
-  noteContent += `<p><strong>Notebook:</strong> ${notebookName}</p>\n`;
-  noteContent += `<p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>\n`;
-  noteContent += `<p><strong>Total Messages:</strong> ${conversations.length}</p>\n<hr>\n`;
-  
-  let questionNum = 0;
-  let responseNum = 0;
-  
-  conversations.forEach(conv => {
-    if (conv.role === 'user') {
-      questionNum++;
-      noteContent += `\n<h3>Question ${questionNum}</h3>\n`;
-      noteContent += `<p>${conv.content}</p>\n`;
-    } else {
-      responseNum++;
-      noteContent += `\n<h3>AI Response ${responseNum}</h3>\n`;
-      noteContent += `<p>${conv.content}</p>\n`;
-    }
-  });
+  const noteContent = buildConversationNoteHTML(notebookName, conversations, notebook);
   
   // Add note to item
   const noteResponse = await fetch(`${baseUrl}/items`, {
@@ -1184,17 +2523,212 @@ async function addConversationsToZotero(notebookName, conversations, config, lib
       'Zotero-API-Version': '3',
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify([{
-      itemType: 'note',
-      parentItem: itemKey,
-      note: noteContent,
-      tags: [{ tag: 'NotebookLM Conversations' }]
-    }])
+    body: JSON.stringify([conversationNoteToZoteroItem(noteContent, itemKey)])
   });
   
   if (!noteResponse.ok) {
     console.warn('Failed to add conversations note');
   }
+  
+  // Link citations back to the sources they cite
+  try {
+    await addCitationNotesToZotero(notebookName, conversations, itemKeys, baseUrl, config.zoteroApiKey);
+  } catch (error) {
+    console.warn('[Zotero] Failed to add citation notes:', error);
+  }
+}
+
+// Render a captured message as Zotero note HTML
+// Uses the sanitized HTML from the content script, or escaped plain text
+function formatMessageHTML(conv) {
+  if (conv.html) {
+    return conv.html;
+  }
+  return `<p>${escapeHTML(conv.content)}</p>`;
+}
+
+// Add a child note under every cited source item listing the questions and
+// quoted passages that relied on it
+// Note HTML per cited source: the questions it answered and the quoted passages
+// Returns { sourceKey: html }
+function buildCitationNotesHTML(notebookName, conversations) {
+  const citedBy = {}; // source key -> [{ question, passages }]
+  let lastQuestion = '';
+  
+  conversations.forEach(conv => {
+    if (conv.role === 'user') {
+      lastQuestion = conv.content;
+      return;
+    }
+    
+    (conv.citations || []).forEach(citation => {
+      if (!citation.sourceKey) return;
+      
+      const uses = citedBy[citation.sourceKey] || (citedBy[citation.sourceKey] = []);
+      let use = uses.find(entry => entry.question === lastQuestion);
+      if (!use) {
+        use = { question: lastQuestion, passages: new Set() };
+        uses.push(use);
+      }
+      if (citation.passage) {
+        use.passages.add(citation.passage);
+      }
+    });
+  });
+  
+  const notes = {};
+  Object.entries(citedBy).forEach(([sourceKey, uses]) => {
+    let note = '<h2>Cited in NotebookLM Conversations</h2>\n';
+    note += `<p><strong>Notebook:</strong> ${escapeHTML(notebookName)}</p>\n`;
+    
+    uses.forEach(use => {
+      note += `<h3>${escapeHTML(use.question || 'Question not captured')}</h3>\n`;
+      if (use.passages.size > 0) {
+        use.passages.forEach(passage => {
+          note += `<blockquote>${escapeHTML(passage)}</blockquote>\n`;
+        });
+      } else {
+        note += '<p><em>Cited without a quoted passage.</em></p>\n';
+      }
+    });
+    
+    notes[sourceKey] = note;
+  });
+  
+  return notes;
+}
+
+// Child note on a cited source
+function citationNoteToZoteroItem(note, parentItem) {
+  return {
+    itemType: 'note',
+    parentItem: parentItem,
+    note: note,
+    tags: [{ tag: 'NotebookLM Citations' }]
+  };
+}
+
+async function addCitationNotesToZotero(notebookName, conversations, itemKeys, baseUrl, apiKey) {
+  const notes = Object.entries(buildCitationNotesHTML(notebookName, conversations))
+    .filter(([sourceKey]) => itemKeys[sourceKey])
+    .map(([sourceKey, note]) => citationNoteToZoteroItem(note, itemKeys[sourceKey]));
+  
+  for (let i = 0; i < notes.length; i += 50) {
+    await createZoteroItems(notes.slice(i, i + 50), baseUrl, apiKey);
+  }
+  
+  console.log(`[Zotero] Added citation notes to ${notes.length} sources`);
+}
+
+// Standalone note for a Studio note or generated document
+function studioNoteToZoteroItem(note, collectionKey) {
+  const kindLabel = NOTE_KIND_LABELS[note.kind] || NOTE_KIND_LABELS.note;
+  const body = note.html || `<p>${escapeHTML(note.text || '')}</p>`;
+  
+  return {
+    itemType: 'note',
+    note: `<h1>${escapeHTML(note.title)}</h1>\n<p><em>${escapeHTML(kindLabel)} from NotebookLM</em></p>\n${body}`,
+    collections: collectionKey ? [collectionKey] : [],
+    tags: [
+      { tag: 'NotebookLM' },
+      { tag: 'NotebookLM Studio' },
+      { tag: kindLabel }
+    ]
+  };
+}
+
+// Add Studio notes as standalone notes in the notebook collection
+async function addStudioNotesToZotero(notes, config, libraryId, libraryType, collectionKey) {
+  const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
+  const noteItems = notes.map(note => studioNoteToZoteroItem(note, collectionKey));
+  
+  // Zotero accepts at most 50 items per request
+  let created = 0;
+  for (let i = 0; i < noteItems.length; i += 50) {
+    const batch = noteItems.slice(i, i + 50);
+    const result = await createZoteroItems(batch, baseUrl, config.zoteroApiKey);
+    created += Object.keys(result.successful || {}).length;
+  }
+  
+  return created;
+}
+
+function overviewToZoteroItem(overview, collectionKey) {
+  const kind = OVERVIEW_KINDS[overview.kind] || OVERVIEW_KINDS.audio;
+  const item = {
+    itemType: kind.itemType,
+    title: overview.title,
+    creators: [],
+    seriesTitle: overview.notebookName || notebookName,
+    url: overview.notebookUrl || '',
+    tags: [{ tag: 'NotebookLM' }, { tag: kind.label }],
+    collections: collectionKey ? [collectionKey] : []
+  };
+  
+  // Format and label fields differ between the two item types
+  if (kind.itemType === 'audioRecording') {
+    item.audioRecordingFormat = kind.label;
+    item.label = 'NotebookLM';
+  } else {
+    item.videoRecordingFormat = kind.label;
+    item.studio = 'NotebookLM';
+  }
+  
+  if (overview.date) item.date = overview.date;
+  if (overview.duration) item.runningTime = formatDuration(overview.duration);
+  
+  return item;
+}
+
+async function addOverviewsToZotero(overviews, config, libraryId, libraryType, collectionKey) {
+  const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
+  const items = overviews.map(overview => overviewToZoteroItem(overview, collectionKey));
+  
+  // Zotero accepts at most 50 items per request
+  let created = 0;
+  for (let i = 0; i < items.length; i += 50) {
+    const result = await createZoteroItems(items.slice(i, i + 50), baseUrl, config.zoteroApiKey);
+    created += Object.keys(result.successful || {}).length;
+  }
+  
+  return created;
+}
+
+// Web page item for a Discover suggestion
+function discoverSuggestionToZoteroItem(suggestion, collectionKey) {
+  return {
+    itemType: 'webpage',
+    title: suggestion.title,
+    url: suggestion.url,
+    abstractNote: suggestion.snippet,
+    accessDate: suggestion.capturedAt,
+    creators: [],
+    tags: [{ tag: 'To read' }, { tag: 'NotebookLM Discover' }],
+    collections: collectionKey ? [collectionKey] : []
+  };
+}
+
+// Discover suggestions become web page items kept apart from the sources:
+// in a "To read" subcollection of the notebook collection, or only tagged
+// "To read" (also used when there is no notebook collection)
+async function addDiscoverSuggestionsToZotero(suggestions, mode, config, libraryId, libraryType, collectionKey) {
+  const baseUrl = `https://api.zotero.org/${libraryType}s/${libraryId}`;
+  
+  let readingListKey = null;
+  if (mode === 'collection' && collectionKey) {
+    readingListKey = await findOrCreateSubcollection('To read', collectionKey, config.zoteroApiKey, libraryType, libraryId);
+  }
+  
+  const items = suggestions.map(suggestion => discoverSuggestionToZoteroItem(suggestion, readingListKey));
+  
+  // Zotero accepts at most 50 items per request
+  let created = 0;
+  for (let i = 0; i < items.length; i += 50) {
+    const result = await createZoteroItems(items.slice(i, i + 50), baseUrl, config.zoteroApiKey);
+    created += Object.keys(result.successful || {}).length;
+  }
+  
+  return created;
 }
 
 function showZoteroSummary(results) {
@@ -1246,7 +2780,6 @@ async function enrichSingleSource(source) {
 
 // Check if Zotero API is configured
 async function checkZoteroConfig() {
-  console.log('[DEBUG] checkZoteroConfig called');
   try {
     const result = await chrome.storage.local.get([
       'zoteroApiKey',
@@ -1255,30 +2788,16 @@ async function checkZoteroConfig() {
       'zoteroGroupId'
     ]);
     
-    console.log('[DEBUG] Storage result:', {
-      hasApiKey: !!result.zoteroApiKey,
-      libraryType: result.zoteroLibraryType,
-      hasUserId: !!result.zoteroUserId,
-      hasGroupId: !!result.zoteroGroupId
-    });
-    
     if (!result.zoteroApiKey) {
-      console.log('[DEBUG] No API key found');
       return false;
     }
     
     const libraryType = result.zoteroLibraryType || 'user';
     const libraryId = libraryType === 'user' ? result.zoteroUserId : result.zoteroGroupId;
     
-    console.log('[DEBUG] Library check:', {
-      libraryType,
-      libraryId,
-      hasLibraryId: !!libraryId
-    });
-    
     return !!libraryId;
   } catch (error) {
-    console.error('[DEBUG] Error checking Zotero config:', error);
+    console.error('[Zotero] Could not read the Zotero settings:', error);
     return false;
   }
 }
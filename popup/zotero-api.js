@@ -55,8 +55,8 @@ class ZoteroAPI {
         throw new Error(`Zotero API Error (${response.status}): ${errorText}`);
       }
       
-      // For DELETE requests, return true
-      if (method === 'DELETE') {
+      // DELETE and PATCH requests have no response body
+      if (method === 'DELETE' || response.status === 204) {
         return { success: true };
       }
       
@@ -155,6 +155,52 @@ class ZoteroAPI {
     }
   }
   
+  /**
+   * Find the top-level item with exactly this title (ignoring case and spacing)
+   * Notes and attachments are never returned, so the key is safe to relate to
+   */
+  async findTopLevelItemByExactTitle(title) {
+    const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const wanted = normalize(title);
+    if (!wanted) return null;
+    
+    try {
+      const result = await this.request(`/items/top?q=${encodeURIComponent(title)}&qmode=titleCreatorYear&limit=25`);
+      return (result.data || []).find(item => normalize(item.data.title) === wanted) || null;
+    } catch (error) {
+      console.error('Error searching for item:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the URI Zotero uses for an item in relations
+   */
+  getItemURI(itemKey) {
+    const libraryPath = this.libraryType === 'group' ? 'groups' : 'users';
+    return `http://zotero.org/${libraryPath}/${this.userID}/items/${itemKey}`;
+  }
+  
+  /**
+   * Add a "related" link from one item to another
+   * Zotero shows relations both ways only when both items carry them
+   */
+  async addRelatedItem(itemKey, relatedKey) {
+    const item = await this.request(`/items/${itemKey}`);
+    const relations = item.data.data.relations || {};
+    const related = [].concat(relations['dc:relation'] || []);
+    const uri = this.getItemURI(relatedKey);
+    
+    if (related.includes(uri)) {
+      return;
+    }
+    
+    await this.request(`/items/${itemKey}`, 'PATCH', {
+      relations: { ...relations, 'dc:relation': [...related, uri] },
+      version: item.data.version
+    });
+  }
+  
   /**
    * Convert source to Zotero item format
    */
@@ -194,9 +240,9 @@ class ZoteroAPI {
       item.url = source.url;
     }
     
-    // Add abstract
-    if (source.abstract) {
-      item.abstractNote = source.abstract;
+    // Add abstract (fall back to the NotebookLM source guide summary)
+    if (source.abstract || source.summary) {
+      item.abstractNote = source.abstract || source.summary;
     }
     
     // Journal-specific fields
@@ -230,6 +276,11 @@ class ZoteroAPI {
       item.tags.push({ tag: `Enriched via ${source.enrichmentType}` });
     }
     
+    // Key topics from the source guide
+    if (source.topics && source.topics.length > 0) {
+      source.topics.forEach(topic => item.tags.push({ tag: topic }));
+    }
+    
     return item;
   }
   
@@ -243,6 +294,7 @@ class ZoteroAPI {
       'web': 'webpage',
       'youtube': 'videoRecording',
       'drive': 'document',
+      'text': 'document',
       'arxiv': 'preprint'
     };
     
@@ -373,24 +425,33 @@ class ZoteroAPI {
     try {
       // Create a note item with conversations
       let noteContent = '<h1>NotebookLM Research Conversations</h1>';
-      noteContent += `<p><strong>Notebook:</strong> ${notebookName}</p>`;
+      noteContent += `<p><strong>Notebook:</strong> ${escapeHTML(notebookName)}</p>`;
       noteContent += `<p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>`;
       noteContent += `<p><strong>Total Messages:</strong> ${conversations.length}</p>`;
       noteContent += '<hr>';
       
       let questionNum = 0;
       let responseNum = 0;
+      let currentSession = null;
       
       conversations.forEach(conv => {
+        if (conv.session && conv.session !== currentSession) {
+          currentSession = conv.session;
+          noteContent += `<h2>Chat: ${escapeHTML(currentSession)}</h2>`;
+        }
+        
         if (conv.role === 'user') {
           questionNum++;
           noteContent += `<h3>Question ${questionNum}</h3>`;
-          noteContent += `<p>${conv.content}</p>`;
         } else {
           responseNum++;
           noteContent += `<h3>AI Response ${responseNum}</h3>`;
-          noteContent += `<p>${conv.content}</p>`;
         }
+        if (conv.timestamp) {
+          noteContent += `<p><em>${escapeHTML(formatTimestamp(conv.timestamp))}</em></p>`;
+        }
+        // Sanitized HTML from the content script, otherwise escaped text
+        noteContent += conv.html || `<p>${escapeHTML(conv.content)}</p>`;
       });
       
       const noteItem = {
@@ -0,0 +1,215 @@
+/**
+ * Zotero RDF Export
+ * Serializes Zotero API item JSON to Zotero RDF, which File → Import reads
+ * with collections, child notes and tags intact. Items and collections use
+ * local keys; notes point to their parent with parentItem.
+ */
+
+const ZOTERO_RDF_NAMESPACES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  z: 'http://www.zotero.org/namespaces/export#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcterms: 'http://purl.org/dc/terms/',
+  bib: 'http://purl.org/net/biblio#',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  prism: 'http://prismstandard.org/namespaces/1.2/basic/'
+};
+
+// RDF class per item type; Zotero reads z:itemType, so others use bib:Document
+const ZOTERO_RDF_CLASSES = {
+  journalArticle: 'bib:Article',
+  book: 'bib:Book',
+  report: 'bib:Report',
+  note: 'bib:Memo'
+};
+
+// Creator types with their own bib: property; the rest use z:<type>s
+const ZOTERO_RDF_CREATOR_PROPERTIES = {
+  author: 'bib:authors',
+  editor: 'bib:editors',
+  contributor: 'bib:contributors'
+};
+
+// Fields written with a plain element
+const ZOTERO_RDF_FIELD_PROPERTIES = {
+  title: 'dc:title',
+  date: 'dc:date',
+  abstractNote: 'dcterms:abstract',
+  accessDate: 'dcterms:dateSubmitted',
+  pages: 'bib:pages',
+  extra: 'dc:description',
+  audioRecordingFormat: 'dcterms:medium',
+  videoRecordingFormat: 'dcterms:medium'
+};
+
+// Fields handled outside the field loop
+const ZOTERO_RDF_STRUCTURED_FIELDS = new Set([
+  'itemType', 'creators', 'tags', 'collections', 'relations', 'parentItem', 'note', 'key',
+  'url', 'DOI', 'ISBN', 'ISSN', 'publicationTitle', 'volume', 'issue', 'seriesTitle', 'publisher', 'label', 'studio'
+]);
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''); // Not allowed in XML 1.0
+}
+
+/**
+ * rdf:about reference of an item
+ */
+function rdfItemRef(key) {
+  return `#item_${key}`;
+}
+
+/**
+ * rdf:about reference of a collection
+ */
+function rdfCollectionRef(key) {
+  return `#collection_${key}`;
+}
+
+/**
+ * Indented element with escaped text, or '' when the value is empty
+ */
+function rdfElement(name, value, depth) {
+  if (value === null || value === undefined || String(value).trim() === '') return '';
+  return `${'    '.repeat(depth)}<${name}>${escapeXML(value)}</${name}>\n`;
+}
+
+/**
+ * Creators grouped by role, as rdf:Seq lists of foaf:Person
+ * Single-field names are written as a surname, like Zotero does
+ */
+function serializeRDFCreators(creators) {
+  const groups = {};
+  creators.forEach(creator => {
+    const property = ZOTERO_RDF_CREATOR_PROPERTIES[creator.creatorType] || `z:${creator.creatorType}s`;
+    (groups[property] = groups[property] || []).push(creator);
+  });
+  
+  return Object.entries(groups).map(([property, members]) => {
+    const people = members.map(creator => {
+      const surname = creator.name || creator.lastName;
+      return '                <rdf:li>\n' +
+        '                    <foaf:Person>\n' +
+        rdfElement('foaf:surname', surname, 6) +
+        rdfElement('foaf:givenName', creator.name ? '' : creator.firstName, 6) +
+        '                    </foaf:Person>\n' +
+        '                </rdf:li>\n';
+    }).join('');
+    
+    return `        <${property}>\n            <rdf:Seq>\n${people}            </rdf:Seq>\n        </${property}>\n`;
+  }).join('');
+}
+
+/**
+ * One item (or note) as an RDF resource
+ * @param {Object} item - Zotero item JSON with a local key
+ * @param {Array<string>} childKeys - Keys of its child notes
+ */
+function serializeRDFItem(item, childKeys) {
+  const rdfClass = ZOTERO_RDF_CLASSES[item.itemType] || 'bib:Document';
+  let xml = `    <${rdfClass} rdf:about="${rdfItemRef(item.key)}">\n`;
+  
+  if (item.itemType === 'note') {
+    xml += rdfElement('rdf:value', item.note, 2);
+  } else {
+    xml += rdfElement('z:itemType', item.itemType, 2);
+    
+    // Journal, volume, issue and ISSN belong to the containing journal
+    if (item.publicationTitle || item.volume || item.issue || item.ISSN) {
+      xml += '        <dcterms:isPartOf>\n            <bib:Journal>\n' +
+        rdfElement('dc:title', item.publicationTitle, 4) +
+        rdfElement('prism:volume', item.volume, 4) +
+        rdfElement('prism:number', item.issue, 4) +
+        rdfElement('dc:identifier', item.ISSN ? `ISSN ${item.ISSN}` : '', 4) +
+        '            </bib:Journal>\n        </dcterms:isPartOf>\n';
+    }
+    if (item.seriesTitle) {
+      xml += '        <dcterms:isPartOf>\n            <bib:Series>\n' +
+        rdfElement('dc:title', item.seriesTitle, 4) +
+        '            </bib:Series>\n        </dcterms:isPartOf>\n';
+    }
+    
+    const publisher = item.publisher || item.label || item.studio;
+    if (publisher) {
+      xml += '        <dc:publisher>\n            <foaf:Organization>\n' +
+        rdfElement('foaf:name', publisher, 4) +
+        '            </foaf:Organization>\n        </dc:publisher>\n';
+    }
+    
+    xml += serializeRDFCreators(item.creators || []);
+    
+    Object.entries(item).forEach(([field, value]) => {
+      if (ZOTERO_RDF_STRUCTURED_FIELDS.has(field)) return;
+      xml += rdfElement(ZOTERO_RDF_FIELD_PROPERTIES[field] || `z:${field}`, value, 2);
+    });
+    
+    if (item.DOI) {
+      xml += rdfElement('dc:identifier', `DOI ${item.DOI}`, 2);
+    }
+    if (item.ISBN) {
+      xml += rdfElement('dc:identifier', `ISBN ${item.ISBN}`, 2);
+    }
+    if (item.url) {
+      xml += '        <dc:identifier>\n            <dcterms:URI>\n' +
+        rdfElement('rdf:value', item.url, 4) +
+        '            </dcterms:URI>\n        </dc:identifier>\n';
+    }
+  }
+  
+  (item.tags || []).forEach(tag => {
+    xml += rdfElement('dc:subject', tag.tag, 2);
+  });
+  childKeys.forEach(key => {
+    xml += `        <dcterms:isReferencedBy rdf:resource="${rdfItemRef(key)}"/>\n`;
+  });
+  
+  return `${xml}    </${rdfClass}>\n`;
+}
+
+/**
+ * Serialize a library to Zotero RDF
+ * @param {Object} library
+ * @param {Array} library.collections - { key, name, parentCollection }
+ * @param {Array} library.items - Zotero item JSON with local keys; items list their
+ *   collection keys, notes may have a parentItem key
+ * @returns {string} RDF/XML
+ */
+function generateZoteroRDF({ collections = [], items = [] }) {
+  const namespaces = Object.entries(ZOTERO_RDF_NAMESPACES)
+    .map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`)
+    .join('\n');
+  
+  let rdf = `<rdf:RDF\n${namespaces}>\n`;
+  
+  items.forEach(item => {
+    const childKeys = items.filter(child => child.parentItem === item.key).map(child => child.key);
+    rdf += serializeRDFItem(item, childKeys);
+  });
+  
+  // Collections list their items and subcollections
+  collections.forEach(collection => {
+    rdf += `    <z:Collection rdf:about="${rdfCollectionRef(collection.key)}">\n`;
+    rdf += rdfElement('dc:title', collection.name, 2);
+    items
+      .filter(item => !item.parentItem && (item.collections || []).includes(collection.key))
+      .forEach(item => {
+        rdf += `        <dcterms:hasPart rdf:resource="${rdfItemRef(item.key)}"/>\n`;
+      });
+    collections
+      .filter(child => child.parentCollection === collection.key)
+      .forEach(child => {
+        rdf += `        <dcterms:hasPart rdf:resource="${rdfCollectionRef(child.key)}"/>\n`;
+      });
+    rdf += '    </z:Collection>\n';
+  });
+  
+  return `${rdf}</rdf:RDF>\n`;
+}
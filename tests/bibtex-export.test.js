@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPopupScripts } = require('./load-popup-scripts');
+
+const {
+  escapeBibTeX,
+  getAuthorLastName,
+  getBibTeXYear,
+  generateCitationKey,
+  generateBibTeX,
+  generateBibLaTeX
+} = loadPopupScripts('bibtex-export');
+
+test('citation keys combine author, year and the first title word', () => {
+  const usedKeys = new Set();
+  
+  assert.strictEqual(generateCitationKey({ authors: ['John Smith'], year: 2020, title: 'Deep learning' }, usedKeys), 'smith2020deep');
+  assert.strictEqual(generateCitationKey({ authors: ['Smith, John'], date: 'March 2019', title: 'The Art of War' }, usedKeys), 'smith2019art');
+  assert.strictEqual(generateCitationKey({ authors: ['Jürgen Müller'], year: 2021, title: 'Über Straße' }, usedKeys), 'muller2021uber');
+  assert.strictEqual(generateCitationKey({ title: '' }, usedKeys), 'anonnduntitled');
+});
+
+test('citation key collisions get letter suffixes', () => {
+  const usedKeys = new Set();
+  const source = { authors: ['Ada Lovelace'], year: 1843, title: 'Notes' };
+  
+  assert.deepStrictEqual(
+    [1, 2, 3].map(() => generateCitationKey(source, usedKeys)),
+    ['lovelace1843notes', 'lovelace1843notesa', 'lovelace1843notesb']
+  );
+});
+
+test('author last names and years are read from common formats', () => {
+  assert.strictEqual(getAuthorLastName('Grace Brewster Hopper'), 'Hopper');
+  assert.strictEqual(getAuthorLastName('Hopper, Grace'), 'Hopper');
+  assert.strictEqual(getAuthorLastName('van der Berg JA'), 'Berg');
+  assert.strictEqual(getAuthorLastName(undefined), '');
+  
+  assert.strictEqual(getBibTeXYear({ year: 1999 }), '1999');
+  assert.strictEqual(getBibTeXYear({ date: '2023-05-01' }), '2023');
+  assert.strictEqual(getBibTeXYear({ date: 'unknown' }), '');
+});
+
+test('field values escape TeX special characters', () => {
+  assert.strictEqual(escapeBibTeX('R&D: 50% of $x_1$ {a} #1 ~ ^'),
+    'R\\&D: 50\\% of \\$x\\_1\\$ \\{a\\} \\#1 \\textasciitilde{} \\textasciicircum{}');
+  assert.strictEqual(escapeBibTeX('a\\b\n  c'), 'a\\textbackslash{}b c');
+});
+
+test('BibTeX export writes one entry per distinct title', () => {
+  const bib = generateBibTeX([
+    { title: 'Deep learning', authors: ['Yann LeCun', 'Yoshua Bengio'], year: 2015, journal: 'Nature', doi: '10.1038/nature14539' },
+    { title: 'deep learning ', type: 'web', url: 'https://example.org/copy' },
+    { title: 'Example page', type: 'web', url: 'https://example.org/a%20b#top' }
+  ], 'My notebook');
+  
+  assert.match(bib, /^% Exported from NotebookLM notebook: My notebook\n/);
+  assert.match(bib, /@article\{lecun2015deep,\n  author = \{Yann LeCun and Yoshua Bengio\},\n  title = \{Deep learning\},\n  year = \{2015\},\n  journal = \{Nature\},\n  doi = \{10\.1038\/nature14539\}/);
+  assert.match(bib, /@misc\{anonndexample,[\s\S]*  url = \{https:\/\/example\.org\/a%20b#top\}/);
+  assert.doesNotMatch(bib, /howpublished/);
+  assert.strictEqual(bib.match(/^@/gm).length, 2);
+});
+
+test('same-titled sources with their own keys each get an entry', () => {
+  const bib = generateBibTeX([
+    { key: 'title:pasted text', title: 'Pasted Text', type: 'text' },
+    { key: 'title:pasted text|2', title: 'Pasted Text', type: 'text' },
+    { key: 'title:pasted text|2', title: 'Pasted Text', type: 'text' }
+  ], 'My notebook');
+  
+  assert.deepStrictEqual(bib.match(/^@misc\{\w+/gm), ['@misc{anonndpasted', '@misc{anonndpasteda']);
+});
+
+test('BibLaTeX export uses its own entry types and fields', () => {
+  const bib = generateBibLaTeX([
+    { title: 'Example page', type: 'web', url: 'https://example.org', date: '2024-02-03' },
+    { title: 'Attention is all you need', authors: ['Ashish Vaswani'], year: 2017, arxivId: '1706.03762' }
+  ], 'My notebook');
+  
+  assert.match(bib, /@online\{anon2024example,[\s\S]*  date = \{2024-02-03\}[\s\S]*  urldate = \{\d{4}-\d{2}-\d{2}\}/);
+  assert.match(bib, /  eprint = \{1706\.03762\},\n  eprinttype = \{arxiv\}/);
+});
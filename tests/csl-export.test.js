@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPopupScripts } = require('./load-popup-scripts');
+
+const { toCSLName, toCSLDate, getCSLType, generateCSLJSON, generateBibTeX } = loadPopupScripts('bibtex-export', 'csl-export');
+
+test('author names are split into family and given parts', () => {
+  assert.deepStrictEqual(toCSLName('Smith, John'), { family: 'Smith', given: 'John' });
+  assert.deepStrictEqual(toCSLName('John  Smith'), { family: 'Smith', given: 'John' });
+  assert.deepStrictEqual(toCSLName('Ludwig van Beethoven'), { family: 'van Beethoven', given: 'Ludwig' });
+  assert.deepStrictEqual(toCSLName('J. R. R. Tolkien'), { family: 'Tolkien', given: 'J. R. R.' });
+});
+
+test('PubMed style names keep their trailing initials as given names', () => {
+  assert.deepStrictEqual(toCSLName('Smith J'), { family: 'Smith', given: 'J' });
+  assert.deepStrictEqual(toCSLName('van der Berg JA'), { family: 'van der Berg', given: 'JA' });
+  assert.deepStrictEqual(toCSLName('Nguyen T-H'), { family: 'Nguyen', given: 'T-H' });
+});
+
+test('organisations and single names become literal names', () => {
+  assert.deepStrictEqual(toCSLName('World Health Organization'), { literal: 'World Health Organization' });
+  assert.deepStrictEqual(toCSLName('Plato'), { literal: 'Plato' });
+  assert.deepStrictEqual(toCSLName('Research Group Leader Ann Lee'), { family: 'Lee', given: 'Research Group Leader Ann' });
+  assert.strictEqual(toCSLName('  '), null);
+});
+
+test('dates keep the parts they have', () => {
+  assert.deepStrictEqual(toCSLDate('2021-07-04'), { 'date-parts': [[2021, 7, 4]] });
+  assert.deepStrictEqual(toCSLDate('2021-07'), { 'date-parts': [[2021, 7]] });
+  assert.deepStrictEqual(toCSLDate('Summer 1999'), { 'date-parts': [[1999]] });
+  assert.deepStrictEqual(toCSLDate(null, '2005'), { 'date-parts': [[2005]] });
+  assert.strictEqual(toCSLDate('unknown'), null);
+});
+
+test('item types follow what enrichment found', () => {
+  assert.strictEqual(getCSLType({ isbn: '9780262035613' }), 'book');
+  assert.strictEqual(getCSLType({ type: 'pdf', journal: 'Nature' }), 'article-journal');
+  assert.strictEqual(getCSLType({ type: 'pdf', arxivId: '1706.03762' }), 'article');
+  assert.strictEqual(getCSLType({ type: 'youtube' }), 'motion_picture');
+  assert.strictEqual(getCSLType({ type: 'web' }), 'webpage');
+  assert.strictEqual(getCSLType({ type: 'text' }), 'document');
+});
+
+test('CSL-JSON ids are the BibTeX citation keys', () => {
+  const sources = [
+    { title: 'Deep learning', authors: ['LeCun Y', 'Bengio Y'], year: 2015, journal: 'Nature', pages: '436–444' },
+    { title: 'Deep Learning', authors: ['Someone Else'] },
+    { title: 'Deep learning again', authors: ['Yann LeCun'], year: 2015 }
+  ];
+  const items = JSON.parse(generateCSLJSON(sources, 'My notebook'));
+  const bibKeys = generateBibTeX(sources, 'My notebook').match(/^@\w+\{([^,]+),/gm).map(line => line.replace(/^@\w+\{|,$/g, ''));
+  
+  assert.deepStrictEqual(items.map(item => item.id), ['lecun2015deep', 'lecun2015deepa']);
+  assert.deepStrictEqual(items.map(item => item.id), bibKeys);
+  assert.deepStrictEqual(items[0].author, [{ family: 'LeCun', given: 'Y' }, { family: 'Bengio', given: 'Y' }]);
+  assert.strictEqual(items[0].page, '436-444');
+  assert.strictEqual(items[0].note, 'Exported from NotebookLM notebook: My notebook');
+  assert.ok(!('DOI' in items[0]), 'empty fields are dropped');
+});
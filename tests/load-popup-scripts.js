@@ -0,0 +1,41 @@
+// Test helper - Loads popup scripts the way popup.html does
+// The popup modules are plain browser scripts that share globals, so they are
+// run in this process's global scope, in the order given (dependencies first).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const POPUP_DIR = path.join(__dirname, '..', 'popup');
+
+function loadPopupScripts(...names) {
+  names.forEach(name => {
+    const file = path.join(POPUP_DIR, `${name}.js`);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+  });
+  return globalThis;
+}
+
+// Files in a store-only zip from createZip(), as { name: text }
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034B50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const nameStart = offset + 30;
+    const dataStart = nameStart + nameLength + extraLength;
+    
+    const name = decoder.decode(bytes.subarray(nameStart, nameStart + nameLength));
+    files[name] = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+    offset = dataStart + size;
+  }
+  
+  return files;
+}
+
+module.exports = { loadPopupScripts, readZip };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPopupScripts, readZip } = require('./load-popup-scripts');
+
+const { toNoteName, toTag, escapeMarkdownText, generateMarkdownVault } =
+  loadPopupScripts('note-formatter', 'bibtex-export', 'csl-export', 'zip-writer', 'markdown-vault');
+
+test('note names drop characters that break wiki-links and stay unique', () => {
+  const usedNames = new Set();
+  
+  assert.strictEqual(toNoteName('What is [AI]? A #guide: part 1/2', usedNames), 'What is AI A guide part 1 2');
+  assert.strictEqual(toNoteName('what is ai a guide part 1 2', usedNames), 'what is ai a guide part 1 2 (2)');
+  assert.strictEqual(toNoteName('...hidden', usedNames), 'hidden');
+  assert.strictEqual(toNoteName('', usedNames), 'Untitled');
+});
+
+test('tags are lowercase words joined by dashes', () => {
+  assert.strictEqual(toTag('Machine learning'), 'machine-learning');
+  assert.strictEqual(toTag('  Große Sprachmodelle! '), 'große-sprachmodelle');
+});
+
+test('Markdown syntax in text is escaped', () => {
+  assert.strictEqual(escapeMarkdownText('[[Link]] *bold* _em_ <b> a|b `code`'),
+    '\\[\\[Link\\]\\] \\*bold\\* \\_em\\_ \\<b\\> a\\|b \\`code\\`');
+  assert.strictEqual(escapeMarkdownText('#tag and # not a tag'), '\\#tag and # not a tag');
+  assert.strictEqual(escapeMarkdownText('## Heading\n> quote\n- item\n+ item\n1. item\n---\n==='),
+    '\\## Heading\n\\> quote\n\\- item\n\\+ item\n1\\. item\n\\---\n\\===');
+  assert.strictEqual(escapeMarkdownText('2024-05-01 - a range'), '2024-05-01 - a range');
+});
+
+test('the vault holds an index, one note per source and the chat', () => {
+  const sources = [
+    { key: 'title:deep learning', title: 'Deep learning', authors: ['Yann LeCun'], year: 2015, journal: 'Nature', topics: ['Neural networks'], summary: '# Not a heading' },
+    { key: 'title:pasted text', title: 'Pasted Text', type: 'text' },
+    { key: 'title:pasted text|2', title: 'Pasted text', type: 'text' },
+    { key: 'id:web', title: 'Web page', type: 'web', url: 'https://example.org' }
+  ];
+  const conversations = [
+    { role: 'user', content: 'What is it?', session: 'Thread A' },
+    {
+      role: 'assistant',
+      content: 'It is deep [1] and online [2], but [3] is unknown.',
+      session: 'Thread A',
+      citations: [
+        { marker: '1', sourceKey: 'title:deep learning', sourceTitle: 'Deep learning' },
+        { marker: '2', sourceKey: null, sourceTitle: 'Web page' },
+        { marker: '3', sourceKey: null, sourceTitle: 'Missing' }
+      ]
+    }
+  ];
+  
+  const files = readZip(generateMarkdownVault(sources, 'My *Notebook*', {
+    conversations: conversations,
+    notebook: { url: 'https://notebooklm.google.com/notebook/abc', description: 'About [things]' }
+  }));
+  
+  assert.deepStrictEqual(Object.keys(files), [
+    'My Notebook/My Notebook.md',
+    'My Notebook/Sources/Deep learning.md',
+    'My Notebook/Sources/Pasted Text.md',
+    'My Notebook/Sources/Pasted text (2).md',
+    'My Notebook/Sources/Web page.md',
+    'My Notebook/My Notebook - Chat.md'
+  ]);
+  
+  const index = files['My Notebook/My Notebook.md'];
+  assert.match(index, /^---\ntitle: "My \*Notebook\*"\nurl: "https:\/\/notebooklm\.google\.com\/notebook\/abc"\n/);
+  assert.match(index, /# My \\\*Notebook\\\*\n\nAbout \\\[things\\\]\n/);
+  assert.match(index, /## Sources \(4\)\n\n- \[\[Deep learning\]\] \(2015\)\n- \[\[Pasted Text\]\]\n- \[\[Pasted text \(2\)\]\]\n- \[\[Web page\]\]\n/);
+  
+  const note = files['My Notebook/Sources/Deep learning.md'];
+  assert.match(note, /citekey: "lecun2015deep"\n/);
+  assert.match(note, /tags:\n {2}- "notebooklm"\n {2}- "neural-networks"\n---/);
+  assert.match(note, /Yann LeCun · 2015 · \*Nature\*/);
+  assert.match(note, /## Abstract\n\n\\# Not a heading\n/);
+  
+  const chat = files['My Notebook/My Notebook - Chat.md'];
+  assert.match(chat, /## Thread A\n\n### Question 1\n\nWhat is it\?/);
+  assert.match(chat, /It is deep \\\[\[\[Deep learning\|1\]\]\\\] and online \\\[\[\[Web page\|2\]\]\\\], but \[3\] is unknown\./);
+  assert.match(chat, /Cited: \[\[Deep learning\]\], \[\[Web page\]\]/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPopupScripts, readZip } = require('./load-popup-scripts');
+
+const { crc32, createZip } = loadPopupScripts('zip-writer');
+
+const encode = text => new TextEncoder().encode(text);
+
+test('crc32 matches the standard check values', () => {
+  assert.strictEqual(crc32(encode('')), 0);
+  assert.strictEqual(crc32(encode('123456789')), 0xCBF43926);
+  assert.strictEqual(crc32(encode('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+});
+
+test('createZip stores every file with its name, size and checksum', () => {
+  const zip = createZip([
+    { name: 'Notebook/Index.md', content: '# Index\n' },
+    { name: 'Notebook/Sources/Über.md', content: encode('Grüße') }
+  ]);
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  
+  assert.deepStrictEqual(readZip(zip), {
+    'Notebook/Index.md': '# Index\n',
+    'Notebook/Sources/Über.md': 'Grüße'
+  });
+  
+  // First local header: UTF-8 names, stored, checksum of the content
+  assert.strictEqual(view.getUint16(6, true), 0x0800);
+  assert.strictEqual(view.getUint16(8, true), 0);
+  assert.strictEqual(view.getUint32(14, true), crc32(encode('# Index\n')));
+  
+  // End of central directory lists both files
+  const end = zip.byteLength - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054B50);
+  assert.strictEqual(view.getUint16(end + 10, true), 2);
+  
+  const centralOffset = view.getUint32(end + 16, true);
+  assert.strictEqual(view.getUint32(centralOffset, true), 0x02014B50);
+  assert.strictEqual(centralOffset + view.getUint32(end + 12, true), end);
+});
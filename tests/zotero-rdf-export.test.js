@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPopupScripts } = require('./load-popup-scripts');
+
+const { escapeXML, generateZoteroRDF } = loadPopupScripts('zotero-rdf-export');
+
+const library = {
+  collections: [
+    { key: '1', name: 'NotebookLM: Notes & Papers', parentCollection: false },
+    { key: '5', name: 'To read', parentCollection: '1' }
+  ],
+  items: [
+    {
+      key: '2',
+      itemType: 'journalArticle',
+      title: 'Deep learning <review>',
+      creators: [
+        { creatorType: 'author', firstName: 'Yann', lastName: 'LeCun' },
+        { creatorType: 'editor', name: 'Nature Editors' }
+      ],
+      publicationTitle: 'Nature',
+      volume: '521',
+      ISSN: '0028-0836',
+      DOI: '10.1038/nature14539',
+      url: 'https://example.org/?a=1&b=2',
+      date: '2015',
+      collections: ['1'],
+      tags: [{ tag: 'NotebookLM' }]
+    },
+    { key: '3', itemType: 'note', parentItem: '2', note: '<p>Cited</p>', tags: [] },
+    { key: '4', itemType: 'webpage', title: 'Suggested page', collections: ['5'], tags: [] }
+  ]
+};
+
+test('XML text is escaped and control characters are dropped', () => {
+  assert.strictEqual(escapeXML('a < b & "c" > d\u0001'), 'a &lt; b &amp; &quot;c&quot; &gt; d');
+  assert.strictEqual(escapeXML(null), '');
+});
+
+test('items are written with their fields, creators and identifiers', () => {
+  const rdf = generateZoteroRDF(library);
+  
+  assert.match(rdf, /^<rdf:RDF\n xmlns:rdf="http:\/\/www\.w3\.org\/1999\/02\/22-rdf-syntax-ns#"/);
+  assert.match(rdf, /<bib:Article rdf:about="#item_2">\n        <z:itemType>journalArticle<\/z:itemType>/);
+  assert.match(rdf, /<bib:Journal>\n {16}<dc:title>Nature<\/dc:title>\n {16}<prism:volume>521<\/prism:volume>\n {16}<dc:identifier>ISSN 0028-0836<\/dc:identifier>/);
+  assert.match(rdf, /<bib:authors>[\s\S]*<foaf:surname>LeCun<\/foaf:surname>\n {24}<foaf:givenName>Yann<\/foaf:givenName>/);
+  assert.match(rdf, /<bib:editors>[\s\S]*<foaf:surname>Nature Editors<\/foaf:surname>\n {20}<\/foaf:Person>/);
+  assert.match(rdf, /<dc:title>Deep learning &lt;review&gt;<\/dc:title>/);
+  assert.match(rdf, /<dc:identifier>DOI 10\.1038\/nature14539<\/dc:identifier>/);
+  assert.match(rdf, /<rdf:value>https:\/\/example\.org\/\?a=1&amp;b=2<\/rdf:value>/);
+  assert.match(rdf, /<dc:subject>NotebookLM<\/dc:subject>/);
+  assert.match(rdf, /<bib:Document rdf:about="#item_4">/);
+});
+
+test('notes hang off their parent item and stay out of collections', () => {
+  const rdf = generateZoteroRDF(library);
+  
+  assert.match(rdf, /<bib:Memo rdf:about="#item_3">\n        <rdf:value>&lt;p&gt;Cited&lt;\/p&gt;<\/rdf:value>/);
+  assert.match(rdf, /<dcterms:isReferencedBy rdf:resource="#item_3"\/>\n    <\/bib:Article>/);
+  assert.doesNotMatch(rdf, /hasPart rdf:resource="#item_3"/);
+});
+
+test('collections list their items and subcollections', () => {
+  const rdf = generateZoteroRDF(library);
+  const collection = rdf.match(/<z:Collection rdf:about="#collection_1">[\s\S]*?<\/z:Collection>/)[0];
+  const subcollection = rdf.match(/<z:Collection rdf:about="#collection_5">[\s\S]*?<\/z:Collection>/)[0];
+  
+  assert.match(collection, /<dc:title>NotebookLM: Notes &amp; Papers<\/dc:title>/);
+  assert.match(collection, /<dcterms:hasPart rdf:resource="#item_2"\/>/);
+  assert.match(collection, /<dcterms:hasPart rdf:resource="#collection_5"\/>/);
+  assert.doesNotMatch(collection, /#item_4/);
+  assert.match(subcollection, /<dcterms:hasPart rdf:resource="#item_4"\/>/);
+  assert.match(rdf, /<\/rdf:RDF>\n$/);
+});